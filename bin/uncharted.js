@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import yaml from 'js-yaml';
+import { renderChart, renderPage } from '../src/render.js';
+
+const usage = `Usage: uncharted <config.yaml|config.json> [options]
+
+Render charts to HTML outside Eleventy. The config file holds one chart
+(an object with a type) or a map of chart ids to charts, like charts.json.
+
+Options:
+  -d, --data-dir <dir>  Directory that file: paths are relative to (default: the config file's directory)
+  -c, --chart <id>      Render only this chart from a map of charts
+      --csv <file>      Read the chart's data from this CSV file
+  -s, --standalone      Write a full HTML page with the stylesheet inlined
+      --svg             Render self-contained SVG instead of CSS-styled HTML
+      --inline-styles   Write the stylesheet's rules into each element's style attribute
+      --theme <name>    Theme unless a chart sets one: light, dark, auto, high-contrast,
+                        okabe-ito or viridis (repeat to combine, e.g. --theme dark --theme viridis)
+      --title <text>    Page title for --standalone (default: the first chart's title)
+  -o, --output <file>   Write to a file instead of stdout
+      --animate         Enable animations unless a chart says otherwise
+      --locale <locale> Locale for parsing numbers (default: en-US)
+      --strict          Exit on the first config or data problem instead of warning
+  -h, --help            Show this help`;
+
+/**
+ * Read a chart config file
+ * @param {string} file - Path to a YAML or JSON file
+ * @returns {Object} - Parsed config
+ */
+function readConfig(file) {
+  const text = fs.readFileSync(file, 'utf-8');
+  return path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : yaml.load(text);
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Command-line arguments (without node and the script path)
+ * @returns {number} - Exit code
+ */
+function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      'data-dir': { type: 'string', short: 'd' },
+      chart: { type: 'string', short: 'c' },
+      csv: { type: 'string' },
+      standalone: { type: 'boolean', short: 's' },
+      svg: { type: 'boolean' },
+      'inline-styles': { type: 'boolean' },
+      theme: { type: 'string', multiple: true },
+      title: { type: 'string' },
+      output: { type: 'string', short: 'o' },
+      animate: { type: 'boolean' },
+      locale: { type: 'string' },
+      strict: { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help) {
+    console.log(usage);
+    return 0;
+  }
+  if (positionals.length !== 1) {
+    console.error(usage);
+    return 1;
+  }
+
+  const configFile = positionals[0];
+  const config = readConfig(configFile);
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`${configFile} should contain a chart or a map of charts`);
+  }
+
+  // A single chart has a type; anything else is a map of charts by id
+  const charts = config.type ? { [values.chart ?? path.parse(configFile).name]: config } : config;
+  const ids = values.chart ? [values.chart] : Object.keys(charts);
+  const missing = ids.filter(id => !charts[id]);
+  if (missing.length > 0) {
+    throw new Error(`Chart "${missing[0]}" not found in ${configFile}`);
+  }
+  if (values.csv && ids.length !== 1) {
+    throw new Error('--csv needs a single chart; pick one with --chart');
+  }
+
+  const body = values.csv ? fs.readFileSync(values.csv, 'utf-8') : undefined;
+  let failed = false;
+  // The charts share one page, so they share element id counters
+  const pageIds = new Map();
+  const fragments = ids.map(id => renderChart(charts[id], {
+    id,
+    ids: pageIds,
+    dataDir: values['data-dir'] ?? path.dirname(configFile),
+    animate: values.animate,
+    locale: values.locale,
+    output: values.svg ? 'svg' : undefined,
+    inlineStyles: values['inline-styles'],
+    theme: values.theme,
+    strict: values.strict,
+    charts,
+    body,
+    onFail: comment => {
+      failed = true;
+      return comment;
+    }
+  }));
+
+  const content = fragments.join('\n');
+  const title = values.title ?? charts[ids[0]]?.title;
+  const html = values.standalone ? renderPage(content, { title }) : content + '\n';
+
+  if (values.output) {
+    fs.writeFileSync(values.output, html);
+  } else {
+    process.stdout.write(html);
+  }
+  return failed ? 1 : 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+}
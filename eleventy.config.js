@@ -1,9 +1,12 @@
 import path from 'path';
-import { fileURLToPath } from 'url';
 import { renderers } from './src/renderers/index.js';
-import { loadCSV } from './src/csv.js';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
+import { svgRenderers } from './src/svg/index.js';
+import { chartSchemas, suggest } from './src/validate.js';
+import { renderChart } from './src/render.js';
+import { cssFile, cssDir, cssParts, cssPartFile, stylesheetParts, pageStylesheetParts, readStylesheet, scriptFile, pageIsInteractive, readScript } from './src/stylesheet.js';
+import { renderChartError, formatDiagnostics } from './src/diagnostics.js';
+import { logWarning } from './src/utils.js';
+import { parseChartArgs, parseChartFence } from './src/shortcodes.js';
 
 /**
  * Uncharted - Eleventy CSS Charts Plugin
@@ -11,40 +14,130 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
  * @param {Object} [options] - Plugin options
  * @param {string} [options.dataDir] - Data directory path (defaults to _data)
  * @param {boolean} [options.animate] - Enable animations globally (individual charts can override)
- * @param {string} [options.cssPath] - Output path for stylesheet (default: '/css/uncharted.css')
- * @param {boolean} [options.injectCss] - Automatically copy and inject CSS (default: true)
+ * @param {string} [options.cssPath] - Output path for the bundled stylesheet; split parts go in the same directory (default: '/css/uncharted.css')
+ * @param {boolean} [options.injectCss] - Automatically copy and inject CSS, and the client script on pages with interactive charts (default: true)
+ * @param {string} [options.cssMode] - 'split' (link only the stylesheet parts a page's charts use), 'bundle' (link the single uncharted.css) or 'inline' (a <style> tag with the parts used, and the client script inline) (default: 'split')
+ * @param {string} [options.scriptPath] - Output path for the client script (default: '/js/uncharted.js')
  * @param {boolean} [options.dataPassthrough] - Copy CSV files to public dataPath (default: false)
  * @param {string} [options.dataPath] - Public URL path for CSV files (default: '/data/')
  * @param {boolean|string} [options.downloadData] - Enable download links globally (individual charts can override)
+ * @param {string} [options.locale] - Locale for parsing numbers in data files (default: 'en-US')
+ * @param {string} [options.output] - 'html' or 'svg' (self-contained SVG for feeds and email); charts can override (default: 'html')
+ * @param {boolean} [options.inlineStyles] - Inline the stylesheet's rules into HTML charts, for feeds; charts can override (default: false)
+ * @param {string|string[]} [options.theme] - Theme for every chart: 'light', 'dark', 'auto', 'high-contrast', 'okabe-ito' or 'viridis', or a list combining them; charts can override
+ * @param {boolean} [options.tooltips] - Focusable data points with styled tooltips (shown on hover and keyboard focus) instead of title attributes; charts can override (default: false)
+ * @param {boolean} [options.interactive] - Enhance charts with the client script (legend toggles, line/dot crosshair, Sankey path highlight); charts can override (default: false)
+ * @param {boolean|string} [options.dataTable] - Data table for screen readers in every HTML chart: true (visually hidden), 'details' (behind a toggle) or false; charts can override (default: true)
+ * @param {Object} [options.colors] - Site-wide map of series name to palette position (1-12) or CSS color, so a series keeps its color on every chart; a chart's `colors:` entries win
+ * @param {boolean} [options.strict] - Fail the build on chart config and data problems instead of warning (default: false)
+ * @param {boolean} [options.showErrors] - Render visible error boxes for broken charts (default: true in --serve/--watch)
+ * @param {Object} [options.defaults] - Default config per chart type, e.g. { sankey: { proportional: true } }
+ * @param {Object} [options.renderers] - Custom chart types: map of type name to render function (config) => HTML
  */
 export default function(eleventyConfig, options = {}) {
   const dataDir = options.dataDir || '_data';
   const globalAnimate = options.animate ?? false;
   const cssPath = options.cssPath || '/css/uncharted.css';
   const injectCss = options.injectCss ?? true;
+  const scriptPath = options.scriptPath || '/js/uncharted.js';
+  let cssMode = options.cssMode || 'split';
+  if (!['split', 'bundle', 'inline'].includes(cssMode)) {
+    logWarning(`Unknown cssMode "${cssMode}" (expected "split", "bundle" or "inline"); using "split"`);
+    cssMode = 'split';
+  }
   const dataPassthrough = options.dataPassthrough ?? false;
   const dataPath = options.dataPath || '/data/';
   const globalDownloadData = options.downloadData ?? false;
+  const globalLocale = options.locale || 'en-US';
+  const globalOutput = options.output || 'html';
+  const globalInlineStyles = options.inlineStyles ?? false;
+  const globalTheme = options.theme;
+  const globalColors = options.colors;
+  const globalDataTable = options.dataTable ?? true;
+  const globalTooltips = options.tooltips ?? false;
+  const globalInteractive = options.interactive ?? false;
+  const strict = options.strict ?? false;
+  const chartDefaults = options.defaults ?? {};
+
+  // Chart types: the built-ins plus custom renderers, which can also be added later with
+  // eleventyConfig.uncharted.addChartType(name, render, schema)
+  const chartTypes = { ...renderers };
+  const schemas = { ...chartSchemas };
+  const svgTypes = { ...svgRenderers };
+  eleventyConfig.uncharted = {
+    /**
+     * Register a custom chart type
+     * @param {string} name - Type name used in chart configs
+     * @param {Function} render - (config) => HTML string; receives the same config as built-in renderers
+     * @param {Object} [schema] - Validation schema: { keys, columns, minColumns } (see chartSchemas)
+     */
+    addChartType(name, render, schema) {
+      chartTypes[name] = render;
+      // Custom types render HTML only, even with `output: "svg"`
+      delete svgTypes[name];
+      // A replaced built-in no longer follows the built-in schema
+      if (schema) {
+        schemas[name] = schema;
+      } else {
+        delete schemas[name];
+      }
+    }
+  };
+  Object.entries(options.renderers ?? {}).forEach(([name, render]) => {
+    eleventyConfig.uncharted.addChartType(name, render);
+  });
 
   // Automatic CSS handling
   if (injectCss) {
-    const cssSource = path.join(__dirname, 'css/uncharted.css');
+    // Stylesheet parts are published next to the bundle's path
+    const cssOutputDir = path.posix.dirname(cssPath);
+    const partUrl = part => path.posix.join(cssOutputDir, cssPartFile(part));
 
     // Copy plugin's CSS to output (strip leading slash for passthrough)
-    eleventyConfig.addPassthroughCopy({
-      [cssSource]: cssPath.replace(/^\//, '')
-    });
+    if (cssMode === 'bundle') {
+      eleventyConfig.addPassthroughCopy({
+        [cssFile]: cssPath.replace(/^\//, '')
+      });
+    } else if (cssMode === 'split') {
+      const copies = {};
+      stylesheetParts(Object.keys(cssParts), { themes: true }).forEach(part => {
+        copies[path.join(cssDir, cssPartFile(part))] = partUrl(part).replace(/^\//, '');
+      });
+      eleventyConfig.addPassthroughCopy(copies);
+    }
+    // The client script, for pages with interactive charts (inline mode writes it into the page)
+    if (cssMode !== 'inline') {
+      eleventyConfig.addPassthroughCopy({
+        [scriptFile]: scriptPath.replace(/^\//, '')
+      });
+    }
 
-    // Inject stylesheet link into pages with charts
+    // Inject the stylesheets used by the page's charts, and the client script if any of them are interactive
     eleventyConfig.addTransform('uncharted-css', function(content) {
       const outputPath = this.page.outputPath || '';
       if (!outputPath.endsWith('.html')) return content;
 
       const hasCharts = content.includes('class="chart ');
-      const hasStylesheet = content.includes('uncharted.css');
+      const hasStylesheet = /uncharted(?:-[\w-]+)?\.css/.test(content);
+      const needsScript = pageIsInteractive(content) && !/<script[^>]*\ssrc="[^"]*uncharted\.js"/.test(content);
 
-      if (hasCharts && !hasStylesheet) {
-        const link = `<link rel="stylesheet" href="${cssPath}">\n  `;
+      if (hasCharts && (!hasStylesheet || needsScript)) {
+        let link = '';
+        if (!hasStylesheet) {
+          const parts = pageStylesheetParts(content);
+          if (cssMode === 'bundle') {
+            link = `<link rel="stylesheet" href="${cssPath}">\n  `;
+          } else if (cssMode === 'split') {
+            link = parts.map(part => `<link rel="stylesheet" href="${partUrl(part)}">\n  `).join('');
+          } else {
+            link = `<style>\n${readStylesheet(parts)}</style>\n  `;
+          }
+        }
+        if (needsScript) {
+          link += cssMode === 'inline'
+            ? `<script type="module">\n${readScript()}</script>\n  `
+            : `<script type="module" src="${scriptPath}"></script>\n  `;
+        }
 
         // Try to inject before first <style> or <link> in <head>
         const headMatch = content.match(/<head[^>]*>([\s\S]*?)<\/head>/i);
@@ -59,76 +152,166 @@ export default function(eleventyConfig, options = {}) {
         }
 
         // Fallback: after <head>
-        return content.replace(/<head([^>]*)>/i, `<head$1>\n  ${link}`);
+        return content.replace(/<head([^>]*)>/i, (match, attrs) => `<head${attrs}>\n  ${link}`);
       }
       return content;
     });
   }
 
+  // Rebuild when chart data files change (Eleventy only watches its own data formats)
+  const resolvedDataDir = path.resolve(process.cwd(), dataDir);
+  const watchDir = path.relative(process.cwd(), resolvedDataDir) || '.';
+  eleventyConfig.addWatchTarget(`./${watchDir}/**/*.{csv,tsv,json,yaml,yml}`);
+
+  // Track the run mode and the charts with problems in the current build
+  let runMode = process.env.ELEVENTY_RUN_MODE;
+  const diagnostics = new Map();
+  // Element id counters per page, so every build numbers a page's ids the same way
+  const pageIds = new Map();
+  eleventyConfig.on('eleventy.before', ({ runMode: mode } = {}) => {
+    runMode = mode ?? runMode;
+    diagnostics.clear();
+    pageIds.clear();
+  });
+  eleventyConfig.on('eleventy.after', () => {
+    const summary = formatDiagnostics(Array.from(diagnostics.values()));
+    if (summary) logWarning(summary);
+  });
+  const showErrors = () => options.showErrors ?? (runMode === 'serve' || runMode === 'watch');
+
   // CSV data passthrough for download links
   if (dataPassthrough) {
-    const resolvedDataDir = path.resolve(process.cwd(), dataDir);
     eleventyConfig.addPassthroughCopy({
       [resolvedDataDir]: dataPath.replace(/^\//, '').replace(/\/$/, '')
     });
   }
 
-  eleventyConfig.addShortcode('chart', function(chartId) {
-    // Resolve data directory relative to the current working directory
-    const resolvedDataDir = path.resolve(process.cwd(), dataDir);
+  /**
+   * Render a chart for a shortcode call
+   * @param {Object} context - Shortcode `this` (page and template data)
+   * @param {Array} args - Shortcode arguments (chart id and/or inline options)
+   * @param {Object} [tag] - Extra input from paired shortcodes and fences
+   * @param {string} [tag.body] - CSV data written in the page (takes precedence over file and data)
+   * @param {string} [tag.error] - Problem found while reading the tag itself (e.g. invalid fence YAML)
+   * @returns {string} - Chart HTML, or an HTML comment / error box if it can't be rendered
+   */
+  function renderChartTag(context, args, { body, error } = {}) {
+    // Nunjucks exposes template data on this.ctx; Liquid keeps it in this.ctx.environments
+    const templateData = context.ctx?.environments ?? context.ctx ?? context;
+
+    const page = context.page?.inputPath;
+    // Paginated templates share an input path, so ids are counted per output URL
+    const pageKey = context.page?.url ?? page;
+    if (!pageIds.has(pageKey)) pageIds.set(pageKey, new Map());
+
+    // {% chart "id" %}, {% chart { type: "donut", ... } %}, or {% chart "id", title="..." %}
+    const { chartId, inline } = parseChartArgs(args);
+    const name = chartId != null ? `Chart "${chartId}"` : 'Inline chart';
+    const diagnosticsKey = `${page}#${chartId ?? `inline-${diagnostics.size}`}`;
+
+    // Report a problem with chart and page context: fail the build in strict mode, warn otherwise
+    const problems = [];
+    let failed = false;
+    const report = message => {
+      const text = `${name}${page ? ` on ${page}` : ''}: ${message}`;
+      if (strict) throw new Error(`[uncharted] ${text}`);
+      problems.push(message);
+      logWarning(text);
+    };
+
+    // Give up on the chart: a visible error box in development, the quiet HTML comment otherwise
+    const fail = (comment, row) => {
+      failed = true;
+      diagnostics.set(diagnosticsKey, { id: chartId, page, status: 'failed', messages: problems });
+      return showErrors() ? renderChartError({ id: chartId, page, messages: problems, row }) : comment;
+    };
+
+    if (error) {
+      report(error);
+      return fail(`<!-- ${name} could not be read -->`);
+    }
 
     // Look up chart config from page data or global data
-    // In Eleventy 3.x, data is available directly on `this` context
+    // In Eleventy 3.x, data is available directly on the shortcode's `this` context
     // 1. Page frontmatter charts.{id}
     // 2. Global data charts.{id} (from _data/charts.yaml or similar)
-    const pageCharts = this.page?.charts;
-    const globalCharts = this.charts || this.ctx?.charts;
+    // Inline options merge over the referenced chart, or define a new chart on their own
+    const pageCharts = context.page?.charts;
+    const globalCharts = context.charts || templateData?.charts;
 
-    const chartConfig = pageCharts?.[chartId] || globalCharts?.[chartId];
+    const lookup = id => pageCharts?.[id] || globalCharts?.[id];
+    const baseConfig = chartId != null ? lookup(chartId) : undefined;
+    const writtenConfig = inline ? { ...baseConfig, ...inline } : baseConfig;
 
-    if (!chartConfig) {
-      return `<!-- Chart "${chartId}" not found -->`;
+    if (!writtenConfig) {
+      const known = Object.keys({ ...globalCharts, ...pageCharts });
+      const match = suggest(chartId, known);
+      report(`not found${match ? ` (did you mean "${match}"?)` : ''}`);
+      return fail(`<!-- ${name} not found -->`);
     }
 
-    // Validate chart type
-    const chartType = chartConfig.type;
-    if (!chartType) {
-      return `<!-- Chart "${chartId}" has no type specified -->`;
-    }
-
-    const renderer = renderers[chartType];
-    if (!renderer) {
-      return `<!-- Unknown chart type "${chartType}" for chart "${chartId}" -->`;
-    }
+    // Same pipeline as the standalone API, with page context, diagnostics and dependency tracking
+    const html = renderChart(writtenConfig, {
+      id: chartId,
+      dataDir: resolvedDataDir,
+      animate: globalAnimate,
+      downloadData: globalDownloadData,
+      dataPath,
+      locale: globalLocale,
+      output: globalOutput,
+      inlineStyles: globalInlineStyles,
+      theme: globalTheme,
+      colors: globalColors,
+      dataTable: globalDataTable,
+      tooltips: globalTooltips,
+      interactive: globalInteractive,
+      defaults: chartDefaults,
+      lookup,
+      renderers: chartTypes,
+      svgRenderers: svgTypes,
+      schemas,
+      templateData,
+      ids: pageIds.get(pageKey),
+      body,
+      warn: report,
+      onFail: fail
+    });
 
-    // Load data from CSV file or use inline data
-    let data = chartConfig.data;
-    if (chartConfig.file && !data) {
-      data = loadCSV(chartConfig.file, resolvedDataDir);
+    if (problems.length > 0 && !failed) {
+      diagnostics.set(diagnosticsKey, { id: chartId, page, status: 'warning', messages: problems });
     }
+    return html;
+  }
 
-    if (!data || data.length === 0) {
-      return `<!-- Chart "${chartId}" has no data -->`;
-    }
+  eleventyConfig.addShortcode('chart', function(...args) {
+    return renderChartTag(this, args);
+  });
 
-    // Render the chart (chart-specific settings override global)
-    const animate = chartConfig.animate ?? globalAnimate;
-    const downloadData = chartConfig.downloadData ?? globalDownloadData;
+  // {% chartdata "id", type="stacked-bar" %}label,a,b ...{% endchartdata %}
+  eleventyConfig.addPairedShortcode('chartdata', function(content, ...args) {
+    return renderChartTag(this, args, { body: content });
+  });
 
-    // Calculate download URL if download is enabled and file is specified
-    let downloadDataUrl = null;
-    if (downloadData && chartConfig.file) {
-      const normalizedDataPath = dataPath.endsWith('/') ? dataPath : dataPath + '/';
-      downloadDataUrl = normalizedDataPath + chartConfig.file;
-    }
+  // ```chart fences in Markdown: YAML options, then optional `---` and CSV data
+  eleventyConfig.amendLibrary('md', md => {
+    const defaultFence = md.renderer.rules.fence;
+    md.renderer.rules.fence = (tokens, idx, mdOptions, env, self) => {
+      const token = tokens[idx];
+      const [lang, fenceId] = token.info.trim().split(/\s+/);
+      if (lang !== 'chart') {
+        return defaultFence(tokens, idx, mdOptions, env, self);
+      }
 
-    return renderer({
-      ...chartConfig,
-      id: chartId,
-      data,
-      animate,
-      downloadData,
-      downloadDataUrl
-    });
+      // Markdown-it's env is the page's data, so it can stand in for the shortcode context
+      const context = env ?? {};
+      let fence;
+      try {
+        fence = parseChartFence(token.info, token.content);
+      } catch (err) {
+        const error = `invalid YAML in chart fence: ${err.reason ?? err.message}`;
+        return renderChartTag(context, fenceId ? [fenceId] : [], { error }) + '\n';
+      }
+      return renderChartTag(context, fence.args, { body: fence.body }) + '\n';
+    };
   });
 }
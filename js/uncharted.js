@@ -0,0 +1,193 @@
+/* Uncharted - Client script
+ * Optional progressive enhancement for charts rendered with `interactive: true`; the charts work without it.
+ * Adds legend toggles, a crosshair on line and dot charts, Sankey path highlighting, and arrow keys
+ * between points in interactive charts that also have `tooltips: true`. Everything it needs is in the charts' data attributes.
+ */
+
+/**
+ * Let legend items switch their series on and off
+ * Items carry data-series (the series slug); every element with the matching chart-series-{slug}
+ * class gets chart-series-off, which the stylesheet hides.
+ * @param {HTMLElement} figure - Chart <figure>
+ */
+function enhanceLegend(figure) {
+  const items = [...figure.querySelectorAll('.chart-legend-item[data-series]')];
+  const isOn = item => item.getAttribute('aria-pressed') === 'true';
+
+  items.forEach(item => {
+    item.setAttribute('role', 'button');
+    item.setAttribute('tabindex', '0');
+    item.setAttribute('aria-pressed', 'true');
+
+    const toggle = () => {
+      // Keep at least one series on
+      if (isOn(item) && items.filter(isOn).length === 1) return;
+      const off = isOn(item);
+      item.setAttribute('aria-pressed', String(!off));
+      figure.querySelectorAll(`.${CSS.escape(`chart-series-${item.dataset.series}`)}`).forEach(element => {
+        element.classList.toggle('chart-series-off', off);
+      });
+    };
+    item.addEventListener('click', toggle);
+    item.addEventListener('keydown', event => {
+      if (event.key !== 'Enter' && event.key !== ' ') return;
+      event.preventDefault();
+      toggle();
+    });
+  });
+}
+
+/**
+ * Show a crosshair on line and dot charts, listing every series at the column under the pointer
+ * Columns carry data-label; their dots carry data-series and data-value (the formatted value).
+ * @param {HTMLElement} figure - Chart <figure>
+ */
+function enhanceCrosshair(figure) {
+  const chart = figure.querySelector('.dot-chart');
+  const columns = [...figure.querySelectorAll('.dot-col[data-label]')];
+  if (!chart || columns.length === 0) return;
+
+  const crosshair = document.createElement('div');
+  crosshair.className = 'chart-crosshair';
+  crosshair.setAttribute('aria-hidden', 'true');
+  crosshair.hidden = true;
+  const tip = document.createElement('div');
+  tip.className = 'chart-crosshair-tip';
+  crosshair.append(tip);
+  chart.append(crosshair);
+
+  // Series names come from the legend, so they follow `legend:` labels
+  const seriesName = slug => figure.querySelector(`.chart-legend-item[data-series="${CSS.escape(slug)}"]`)?.textContent ?? slug;
+
+  const show = event => {
+    const center = column => {
+      const rect = column.getBoundingClientRect();
+      return rect.left + rect.width / 2;
+    };
+    const column = columns.reduce((a, b) => (Math.abs(center(b) - event.clientX) < Math.abs(center(a) - event.clientX) ? b : a));
+    const chartRect = chart.getBoundingClientRect();
+    const x = center(column) - chartRect.left;
+    crosshair.style.left = `${x}px`;
+    // Past the middle, the tip sits on the left of the line so it stays inside the chart
+    crosshair.classList.toggle('is-flipped', x > chartRect.width / 2);
+
+    const heading = document.createElement('strong');
+    heading.textContent = column.dataset.label;
+    const rows = [...column.querySelectorAll('.dot[data-series]:not(.chart-series-off)')].map(dot => {
+      const row = document.createElement('span');
+      row.className = 'chart-crosshair-row';
+      const swatch = document.createElement('span');
+      swatch.className = 'chart-crosshair-swatch';
+      swatch.style.backgroundColor = getComputedStyle(dot).backgroundColor;
+      row.append(swatch, `${seriesName(dot.dataset.series)}: ${dot.dataset.value}`);
+      return row;
+    });
+    tip.replaceChildren(heading, ...rows);
+    crosshair.hidden = false;
+  };
+
+  chart.addEventListener('pointermove', show);
+  chart.addEventListener('pointerdown', show);
+  chart.addEventListener('pointerleave', () => {
+    crosshair.hidden = true;
+  });
+}
+
+/**
+ * Highlight a Sankey node's full upstream and downstream path on hover and focus
+ * The stylesheet's per-node rules only reach direct neighbors. Nodes carry data-node, and flows
+ * data-source and data-target (node slugs).
+ * @param {HTMLElement} figure - Chart <figure>
+ */
+function enhanceSankey(figure) {
+  const container = figure.querySelector('.chart-sankey-container');
+  const nodes = [...figure.querySelectorAll('.chart-sankey-node[data-node]')];
+  const flows = [...figure.querySelectorAll('.chart-sankey-flow[data-source]')];
+  if (!container || nodes.length === 0) return;
+
+  /**
+   * Follow flows from a node in one direction
+   * @param {string} start - Node slug
+   * @param {string} from - 'source' to walk downstream, 'target' to walk upstream
+   * @param {Set<Element>} traced - Collects the flows walked
+   * @returns {Set<string>} - Slugs of the nodes reached, including the start
+   */
+  const walk = (start, from, traced) => {
+    const to = from === 'source' ? 'target' : 'source';
+    const reached = new Set([start]);
+    const queue = [start];
+    while (queue.length > 0) {
+      const node = queue.shift();
+      flows.filter(flow => flow.dataset[from] === node).forEach(flow => {
+        traced.add(flow);
+        if (!reached.has(flow.dataset[to])) {
+          reached.add(flow.dataset[to]);
+          queue.push(flow.dataset[to]);
+        }
+      });
+    }
+    return reached;
+  };
+
+  const trace = slug => {
+    const tracedFlows = new Set();
+    const tracedNodes = new Set([...walk(slug, 'source', tracedFlows), ...walk(slug, 'target', tracedFlows)]);
+    flows.forEach(flow => flow.classList.toggle('is-traced', tracedFlows.has(flow)));
+    nodes.forEach(node => node.classList.toggle('is-traced', tracedNodes.has(node.dataset.node)));
+    container.classList.add('is-tracing');
+  };
+  const clear = () => {
+    container.classList.remove('is-tracing');
+    [...flows, ...nodes].forEach(element => element.classList.remove('is-traced'));
+  };
+
+  nodes.forEach(node => {
+    node.addEventListener('pointerenter', () => trace(node.dataset.node));
+    node.addEventListener('pointerleave', clear);
+    node.addEventListener('focus', () => trace(node.dataset.node));
+    node.addEventListener('blur', clear);
+  });
+}
+
+/**
+ * Move focus between a chart's points with the arrow keys, Home and End
+ * Points are the focusable data-tooltip elements of `tooltips: true`, in document order;
+ * hidden ones (e.g. a switched-off series) are skipped.
+ * @param {HTMLElement} figure - Chart <figure>
+ */
+function enhanceKeyboard(figure) {
+  figure.addEventListener('keydown', event => {
+    const point = event.target.closest('[data-tooltip]');
+    if (!point) return;
+    const points = [...figure.querySelectorAll('[data-tooltip]')].filter(element => element.getClientRects().length > 0);
+    const index = points.indexOf(point);
+    const next = {
+      ArrowRight: index + 1,
+      ArrowDown: index + 1,
+      ArrowLeft: index - 1,
+      ArrowUp: index - 1,
+      Home: 0,
+      End: points.length - 1
+    }[event.key];
+    if (next === undefined || !points[next]) return;
+    event.preventDefault();
+    points[next].focus();
+  });
+}
+
+/**
+ * Enhance the interactive charts in a page or part of one
+ * Runs on load; call it again after adding charts to the page. Each chart is only enhanced once.
+ * @param {ParentNode} [root] - Where to look for charts (default: the whole document)
+ */
+export function enhanceCharts(root = document) {
+  root.querySelectorAll('.chart.chart-interactive:not([data-chart-enhanced])').forEach(figure => {
+    figure.setAttribute('data-chart-enhanced', '');
+    enhanceLegend(figure);
+    enhanceCrosshair(figure);
+    if (figure.classList.contains('chart-sankey')) enhanceSankey(figure);
+    if (figure.classList.contains('chart-tooltips')) enhanceKeyboard(figure);
+  });
+}
+
+enhanceCharts();
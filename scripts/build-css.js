@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import { cssFile, readStylesheet } from '../src/stylesheet.js';
+
+// Rebuild css/uncharted.css from the per-type parts, for sites that prefer one file
+const header = `/* Uncharted - CSS Charts for Eleventy
+ * Default stylesheet with CSS custom properties for easy customization
+ * Bundled from css/uncharted-*.css by \`npm run build:css\`; edit those files instead
+ */
+
+`;
+
+fs.writeFileSync(cssFile, header + readStylesheet());
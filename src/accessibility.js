@@ -0,0 +1,197 @@
+import { escapeHtml, slugify, uniqueId } from './utils.js';
+import { formatNumber } from './formatters.js';
+
+/**
+ * Format a value for the summary or a table cell
+ * @param {*} value - Raw value
+ * @param {Object} [format] - Number format for numbers (see formatNumber)
+ * @returns {string} - Formatted value, or an empty string for a missing one
+ */
+function formatCell(value, format) {
+  if (value == null) return '';
+  return typeof value === 'number' ? String(formatNumber(value, format) || value) : String(value);
+}
+
+/**
+ * Join names into a sentence list, e.g. "A, B and C"
+ * @param {string[]} names - Names
+ * @returns {string} - List text
+ */
+function listNames(names) {
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names.at(-1)}` : names.join('');
+}
+
+/**
+ * Build the data table for a label column plus one column per series
+ * @param {Object[]} data - Chart data
+ * @param {Object} options - Columns
+ * @param {string} options.labelKey - Label column
+ * @param {string[]} options.seriesKeys - Series columns
+ * @param {string[]} [options.labels] - Series display labels (defaults to the series names)
+ * @param {Object} [options.format] - Number format
+ * @returns {{ columns: string[], rows: string[][] }} - Header and formatted rows
+ */
+export function seriesTable(data, { labelKey, seriesKeys, labels = seriesKeys, format }) {
+  return {
+    columns: [labelKey, ...seriesKeys.map((key, i) => labels[i] ?? key)],
+    rows: data.map(row => [String(row[labelKey] ?? ''), ...seriesKeys.map(key => formatCell(row[key], format))])
+  };
+}
+
+/**
+ * Build the data table for a list of records
+ * @param {Object[]} records - Records to list, one row each
+ * @param {Object[]} columns - Columns: { name, value: record => value, format }
+ * @returns {{ columns: string[], rows: string[][] }} - Header and formatted rows
+ */
+export function recordTable(records, columns) {
+  return {
+    columns: columns.map(column => column.name),
+    rows: records.map(record => columns.map(column => formatCell(column.value(record), column.format)))
+  };
+}
+
+/**
+ * Summarize a chart of series over categories (bar, column, dot and line charts)
+ * @param {string} kind - Chart kind for the sentence, e.g. "Line chart"
+ * @param {Object[]} data - Chart data
+ * @param {Object} options - Columns and formatting
+ * @param {string} options.labelKey - Label column
+ * @param {string[]} options.seriesKeys - Series columns
+ * @param {string[]} [options.labels] - Series display labels
+ * @param {Object} [options.format] - Number format
+ * @param {boolean} [options.stacked] - Also give the range of the stacked totals
+ * @returns {string} - Summary text
+ */
+export function summarizeSeries(kind, data, { labelKey, seriesKeys, labels = seriesKeys, format, stacked = false }) {
+  const names = seriesKeys.map((key, i) => String(labels[i] ?? key));
+  const categories = data.map(row => String(row[labelKey] ?? ''));
+  let text = names.length === 1 ? `${kind} of ${names[0]}` : `${kind} with ${names.length} series (${listNames(names)})`;
+  text += categories.length === 1
+    ? ` for ${categories[0]}.`
+    : ` across ${categories.length} categories, ${categories[0]} to ${categories.at(-1)}.`;
+
+  // Null cells are gaps, so they don't count as the lowest value
+  const points = data.flatMap((row, r) => seriesKeys
+    .filter(key => row[key] != null && row[key] !== '')
+    .map(key => ({ value: typeof row[key] === 'number' ? row[key] : parseFloat(row[key]) || 0, series: names[seriesKeys.indexOf(key)], category: categories[r] })));
+  if (points.length > 0) {
+    const low = points.reduce((a, b) => (b.value < a.value ? b : a));
+    const high = points.reduce((a, b) => (b.value > a.value ? b : a));
+    // With one series, the opening sentence already names it
+    const where = point => (names.length > 1 ? `${point.series}, ${point.category}` : point.category);
+    text += ` Values range from ${formatCell(low.value, format)} (${where(low)}) to ${formatCell(high.value, format)} (${where(high)}).`;
+  }
+  if (stacked && names.length > 1 && categories.length > 1) {
+    const totals = data.map((row, r) => ({
+      value: seriesKeys.reduce((sum, key) => sum + (typeof row[key] === 'number' ? row[key] : parseFloat(row[key]) || 0), 0),
+      category: categories[r]
+    }));
+    const low = totals.reduce((a, b) => (b.value < a.value ? b : a));
+    const high = totals.reduce((a, b) => (b.value > a.value ? b : a));
+    text += ` Totals range from ${formatCell(low.value, format)} (${low.category}) to ${formatCell(high.value, format)} (${high.category}).`;
+  }
+  return text;
+}
+
+/**
+ * Summarize a donut chart
+ * @param {Object[]} segments - Segments: { label, value }
+ * @param {number} total - Sum of the segment values
+ * @param {Object} [format] - Number format
+ * @returns {string} - Summary text
+ */
+export function summarizeDonut(segments, total, format) {
+  const share = segment => `${formatCell(segment.value, format)} (${((segment.value / total) * 100).toFixed(1)}%)`;
+  let text = `Donut chart with ${segments.length} ${segments.length === 1 ? 'segment' : 'segments'} totalling ${formatCell(total, format)}.`;
+  if (segments.length > 1) {
+    const largest = segments.reduce((a, b) => (b.value > a.value ? b : a));
+    const smallest = segments.reduce((a, b) => (b.value < a.value ? b : a));
+    text += ` Largest: ${largest.label}, ${share(largest)}. Smallest: ${smallest.label}, ${share(smallest)}.`;
+  }
+  return text;
+}
+
+/**
+ * Summarize a scatter plot
+ * @param {Object[]} dots - Points: { x, y, series }
+ * @param {Object} options - Axis names and formatting
+ * @param {string} options.xKey - X column name
+ * @param {string} options.yKey - Y column name
+ * @param {string[]} [options.series] - Series display names
+ * @param {Object} [options.formatX] - Number format for X values
+ * @param {Object} [options.formatY] - Number format for Y values
+ * @returns {string} - Summary text
+ */
+export function summarizeScatter(dots, { xKey, yKey, series = [], formatX, formatY }) {
+  let text = `Scatter plot of ${dots.length} ${dots.length === 1 ? 'point' : 'points'}`;
+  if (series.length > 1) text += ` in ${series.length} series (${listNames(series)})`;
+  text += '.';
+  if (dots.length > 0) {
+    const xs = dots.map(dot => dot.x);
+    const ys = dots.map(dot => dot.y);
+    text += ` ${xKey} ranges from ${formatCell(Math.min(...xs), formatX)} to ${formatCell(Math.max(...xs), formatX)};`;
+    text += ` ${yKey} ranges from ${formatCell(Math.min(...ys), formatY)} to ${formatCell(Math.max(...ys), formatY)}.`;
+  }
+  return text;
+}
+
+/**
+ * Summarize a Sankey diagram
+ * @param {Object[]} edges - Aggregated edges: { source, target, value }
+ * @param {Object} options - Layout and formatting
+ * @param {number} options.nodeCount - Number of nodes
+ * @param {number} options.levelCount - Number of levels
+ * @param {Object} [options.format] - Number format
+ * @returns {string} - Summary text
+ */
+export function summarizeSankey(edges, { nodeCount, levelCount, format }) {
+  const largest = edges.reduce((a, b) => (b.value > a.value ? b : a));
+  return `Sankey diagram of ${edges.length} ${edges.length === 1 ? 'flow' : 'flows'} between ${nodeCount} nodes in ${levelCount} levels.`
+    + ` Largest flow: ${largest.source} to ${largest.target}, ${formatCell(largest.value, format)}.`;
+}
+
+/**
+ * Render a data table: the first column holds row headers
+ * @param {{ columns: string[], rows: string[][] }} table - Header and formatted rows
+ * @param {string} [caption] - Table caption, usually the chart title
+ * @returns {string} - <table> HTML
+ */
+export function renderDataTable({ columns, rows }, caption) {
+  let html = `<table class="chart-data-table">`;
+  if (caption) html += `<caption>${escapeHtml(caption)}</caption>`;
+  html += `<thead><tr>${columns.map(name => `<th scope="col">${escapeHtml(name)}</th>`).join('')}</tr></thead>`;
+  html += `<tbody>`;
+  rows.forEach(([header, ...cells]) => {
+    html += `<tr><th scope="row">${escapeHtml(header)}</th>${cells.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`;
+  });
+  html += `</tbody></table>`;
+  return html;
+}
+
+/**
+ * Render a chart's text alternative: the figure's ARIA attributes, and the description, summary and data
+ * table screen readers use in place of the drawing
+ * @param {Object} options - Chart text
+ * @param {string} options.kind - Chart kind, e.g. "Line chart" (the accessible name without a title)
+ * @param {string} [options.id] - Chart id, used in the text's element id
+ * @param {string} [options.title] - Chart title
+ * @param {string} [options.description] - Author's description
+ * @param {string} options.summary - Generated summary (see summarizeSeries and friends)
+ * @param {{ columns: string[], rows: string[][] }} [options.table] - Data table
+ * @param {boolean|string} [options.dataTable] - true: visually hidden table, 'details': behind a <details> toggle, false: no table (default: true)
+ * @returns {{ attrs: string, html: string }} - Attributes for the <figure> (with a leading space), and the HTML that goes inside it
+ */
+export function renderTextAlternative({ kind, id, title, description, summary, table, dataTable = true }) {
+  const text = [description, summary].filter(Boolean).join(' ');
+  const textId = uniqueId(id ? `chart-text-${slugify(id)}` : 'chart-text');
+  const attrs = ` aria-label="${escapeHtml(title || kind)}" aria-describedby="${textId}"`;
+
+  let html = `<p class="chart-sr-only" id="${textId}">${escapeHtml(text)}</p>`;
+  if (table && dataTable === 'details') {
+    html += `<details class="chart-data"><summary>Data table</summary>${renderDataTable(table, title)}</details>`;
+  } else if (table && dataTable) {
+    html += `<div class="chart-sr-only">${renderDataTable(table, title)}</div>`;
+  }
+  return { attrs, html };
+}
@@ -0,0 +1,325 @@
+import { logWarning } from './utils.js';
+
+/**
+ * Column types accepted in a chart's `columns:` schema
+ */
+export const COLUMN_TYPES = ['auto', 'string', 'number', 'date'];
+
+// Currency symbols stripped before numeric parsing
+const CURRENCY_SYMBOLS = /[$€£¥₹₩₽₺₫₪¢]/g;
+
+// ISO 8601 date, optionally with a time component
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const separatorCache = new Map();
+
+/**
+ * Units found by typeColumns, keyed by the rows array it returned
+ */
+const rowUnits = new WeakMap();
+
+/**
+ * Check for a zero-padded code such as a ZIP code ("02134"), which must stay a string
+ * @param {string} str - Raw value
+ * @returns {boolean} - True if the value has a leading zero before another digit
+ */
+function isZeroPadded(str) {
+  return /^[+-]?0\d/.test(str.trim());
+}
+
+/**
+ * Get the units typeColumns found in numeric columns, e.g. { share: { symbol: '%', position: 'suffix' } }
+ * A column has a unit when every filled cell carried the same currency symbol, or a percent sign.
+ * @param {Object[]} rows - Rows returned by typeColumns (or passed through withColumnUnits)
+ * @returns {Object} - Map of column name to { symbol, position, decimals, thousands }
+ */
+export function columnUnits(rows) {
+  return rowUnits.get(rows) ?? {};
+}
+
+/**
+ * Build a display format from column units, for charts without a `format:`
+ * Only used when every column with a unit shares the same symbol, so a chart mixing "$" and "%" stays plain.
+ * @param {Object} units - Map of column name to unit (see columnUnits)
+ * @returns {Object|undefined} - formatNumber config, e.g. { currency: { symbol: '%', position: 'suffix' }, decimals: 1 }
+ */
+export function unitFormat(units) {
+  const list = Object.values(units);
+  if (list.length === 0) return undefined;
+  const [{ symbol, position }] = list;
+  if (!list.every(unit => unit.symbol === symbol && unit.position === position)) return undefined;
+
+  const format = { currency: { symbol, position } };
+  const decimals = Math.max(...list.map(unit => unit.decimals ?? 0));
+  if (decimals > 0) format.decimals = decimals;
+  if (list.some(unit => unit.thousands)) format.thousands = true;
+  return format;
+}
+
+/**
+ * Attach column units to a rows array, e.g. a copy of rows returned by typeColumns
+ * @param {Object[]} rows - Array of row objects
+ * @param {Object} units - Map of column name to unit (see columnUnits)
+ * @returns {Object[]} - The same rows array
+ */
+export function withColumnUnits(rows, units) {
+  if (Object.keys(units).length > 0) rowUnits.set(rows, units);
+  return rows;
+}
+
+/**
+ * Find the unit shared by every filled cell of a numeric column
+ * @param {string[]} values - Filled raw cell values
+ * @param {string} locale - Locale for the decimal and thousands separators
+ * @returns {Object|null} - { symbol, position, decimals, thousands }, or null if the cells have no common unit
+ */
+function detectUnit(values, locale) {
+  if (values.length === 0 || !values.every(v => typeof v === 'string')) return null;
+  const trimmed = values.map(v => v.trim());
+
+  let unit = null;
+  if (trimmed.every(v => v.endsWith('%'))) {
+    unit = { symbol: '%', position: 'suffix' };
+  } else {
+    const symbols = trimmed.map(v => v.match(CURRENCY_SYMBOLS));
+    const symbol = symbols[0]?.[0];
+    if (!symbol || !symbols.every(found => found?.length === 1 && found[0] === symbol)) return null;
+    const prefixed = trimmed.every(v => v.replace(/^[-−–+(\s]+/, '').startsWith(symbol));
+    unit = { symbol, position: prefixed ? 'prefix' : 'suffix' };
+  }
+
+  // Keep the precision and grouping the cells were written with
+  const { group, decimal } = getSeparators(locale);
+  const decimals = Math.max(...trimmed.map(v => {
+    const index = v.lastIndexOf(decimal);
+    return index === -1 ? 0 : (v.slice(index + 1).match(/^\d+/)?.[0].length ?? 0);
+  }));
+  if (decimals > 0) unit.decimals = decimals;
+  if (!/\s/.test(group) && trimmed.some(v => v.includes(group))) unit.thousands = true;
+  return unit;
+}
+
+/**
+ * Get the thousands and decimal separators for a locale
+ * @param {string} locale - BCP 47 locale tag
+ * @returns {{ group: string, decimal: string }} - Separator characters
+ */
+function getSeparators(locale) {
+  if (!separatorCache.has(locale)) {
+    const parts = new Intl.NumberFormat(locale).formatToParts(1234567.5);
+    separatorCache.set(locale, {
+      group: parts.find(p => p.type === 'group')?.value ?? ',',
+      decimal: parts.find(p => p.type === 'decimal')?.value ?? '.'
+    });
+  }
+  return separatorCache.get(locale);
+}
+
+/**
+ * Escape a string for use inside a RegExp
+ * @param {string} str - String to escape
+ * @returns {string} - Escaped string
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse a numeric string, accepting currency symbols, percent signs,
+ * thousands separators and accounting-style negatives: "$1,200", "45%", "(3.5)"
+ * @param {*} value - Raw value
+ * @param {string} [locale] - Locale for thousands/decimal separators (default: 'en-US')
+ * @returns {number|null} - Parsed number, or null if the value is not numeric
+ */
+export function parseNumber(value, locale = 'en-US') {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (value == null) return null;
+
+  let str = String(value)
+    .replace(CURRENCY_SYMBOLS, '')
+    .replace(/\s+/g, '')
+    .replace(/%$/, '')
+    .replace(/^[−–]/, '-');
+  if (str === '') return null;
+
+  // Accounting negatives: (1,200)
+  let sign = 1;
+  const parens = str.match(/^\((.*)\)$/);
+  if (parens) {
+    sign = -1;
+    str = parens[1];
+  }
+
+  // Scientific notation uses the plain JS syntax regardless of locale
+  if (/^[+-]?(\d+\.?\d*|\.\d+)e[+-]?\d+$/i.test(str)) {
+    return sign * Number(str);
+  }
+
+  const { group, decimal } = getSeparators(locale);
+  const g = /\s/.test(group) ? '' : escapeRegExp(group);
+  const d = escapeRegExp(decimal);
+  const grouped = g ? `\\d{1,3}(?:${g}\\d{3})+|` : '';
+  const pattern = new RegExp(`^([+-])?(${grouped}\\d+)?(?:${d}(\\d+))?$`);
+  const match = str.match(pattern);
+  if (!match || (match[2] === undefined && match[3] === undefined)) return null;
+
+  const intPart = (match[2] ?? '0').split(group).join('');
+  const num = Number(`${intPart}.${match[3] ?? '0'}`);
+  return sign * (match[1] === '-' ? -num : num);
+}
+
+/**
+ * Parse a date string into a normalized ISO 8601 date (YYYY-MM-DD, with time if present)
+ * @param {*} value - Raw value
+ * @param {Object} [options] - Parse options
+ * @param {boolean} [options.loose] - Fall back to Date.parse for non-ISO formats (default: false)
+ * @returns {string|null} - ISO date string, or null if the value is not a date
+ */
+export function parseDate(value, { loose = false } = {}) {
+  if (value instanceof Date) {
+    return isNaN(value) ? null : value.toISOString().slice(0, 10);
+  }
+  if (value == null) return null;
+
+  const str = String(value).trim();
+  const match = str.match(ISO_DATE);
+  if (match) {
+    const [, y, m, d] = match;
+    const date = new Date(Date.UTC(+y, +m - 1, +d));
+    // Reject impossible dates like 2024-02-30
+    if (date.getUTCMonth() !== +m - 1 || date.getUTCDate() !== +d) return null;
+    return match[4] ? str : `${y}-${m}-${d}`;
+  }
+
+  if (loose && str !== '') {
+    const time = Date.parse(str);
+    if (!isNaN(time)) {
+      const date = new Date(time);
+      const pad = n => String(n).padStart(2, '0');
+      return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Coerce a single value to a column type
+ * @param {*} value - Raw value
+ * @param {string} type - Column type (see COLUMN_TYPES)
+ * @param {string} [locale] - Locale for numeric parsing
+ * @returns {{ value: *, ok: boolean }} - Coerced value; ok is false when the value could not be parsed
+ */
+export function coerceValue(value, type = 'auto', locale = 'en-US') {
+  const isEmpty = value == null || (typeof value === 'string' && value.trim() === '');
+
+  switch (type) {
+    case 'string':
+      return { value: value == null ? '' : String(value), ok: true };
+    case 'number': {
+      if (isEmpty) return { value: null, ok: true };
+      const num = parseNumber(value, locale);
+      return { value: num, ok: num !== null };
+    }
+    case 'date': {
+      if (isEmpty) return { value: null, ok: true };
+      const date = parseDate(value, { loose: true });
+      return { value: date, ok: date !== null };
+    }
+    default: {
+      // Auto: numbers become numbers; ISO dates, zero-padded codes and everything else stay as strings
+      if (value instanceof Date) return { value: parseDate(value), ok: true };
+      if (typeof value !== 'string') return { value: value ?? '', ok: true };
+      if (parseDate(value) !== null || isZeroPadded(value)) return { value: value.trim(), ok: true };
+      const num = parseNumber(value, locale);
+      return { value: num ?? value, ok: true };
+    }
+  }
+}
+
+/**
+ * Apply column types to parsed rows
+ * Declared columns are coerced strictly: unparseable cells become null with a warning.
+ * An undeclared column other than the first (which holds labels) becomes numeric only when
+ * every filled cell parses as a number and none is a zero-padded code; its empty cells become
+ * null so renderers can treat them as gaps. Other undeclared columns keep their text.
+ * A percent sign or currency symbol shared by a numeric column is kept in columnUnits().
+ * @param {Object[]} rows - Array of row objects
+ * @param {Object} [options] - Typing options
+ * @param {Object} [options.columns] - Map of column name to type (see COLUMN_TYPES)
+ * @param {string} [options.locale] - Locale for numeric parsing (default: 'en-US')
+ * @param {string} [options.source] - Name used in warnings (file path or chart id)
+ * @param {Function} [options.warn] - Warning handler (default: log to the console)
+ * @returns {Object[]} - New array of typed row objects
+ */
+export function typeColumns(rows, options = {}) {
+  if (!Array.isArray(rows) || rows.length === 0) return [];
+
+  const { columns = {}, locale = 'en-US', source, warn = logWarning } = options;
+  const keys = Array.from(new Set(rows.flatMap(row => Object.keys(row))));
+  const where = source ? ` in ${source}` : '';
+
+  Object.keys(columns).forEach(key => {
+    if (!keys.includes(key)) {
+      warn(`Column "${key}" declared in columns${where} does not exist`);
+    }
+    if (!COLUMN_TYPES.includes(columns[key])) {
+      warn(`Unknown column type "${columns[key]}" for "${key}"${where}; expected one of ${COLUMN_TYPES.join(', ')}`);
+    }
+  });
+
+  // Resolve the effective type of each column ('text' keeps undeclared non-numeric columns as written)
+  const columnTypes = new Map();
+  keys.forEach((key, index) => {
+    const declared = columns[key];
+    if (declared && declared !== 'auto' && COLUMN_TYPES.includes(declared)) {
+      columnTypes.set(key, declared);
+      return;
+    }
+
+    if (index === 0) {
+      columnTypes.set(key, 'auto');
+      return;
+    }
+    const filled = filledValues(rows, key);
+    const numeric = filled.length > 0 && filled.every(v => typeof v === 'number' ||
+      (typeof v === 'string' && !isZeroPadded(v) && parseDate(v) === null && parseNumber(v, locale) !== null));
+    columnTypes.set(key, numeric ? 'number' : 'text');
+  });
+
+  const units = {};
+  columnTypes.forEach((type, key) => {
+    const unit = type === 'number' && detectUnit(filledValues(rows, key), locale);
+    if (unit) units[key] = unit;
+  });
+
+  const typedRows = rows.map((row, rowIndex) => {
+    const typed = {};
+    keys.forEach(key => {
+      const raw = row[key];
+      const type = columnTypes.get(key);
+      // Text columns keep their strings as written (other values are still normalized, e.g. YAML dates)
+      if (type === 'text' && typeof raw === 'string') {
+        typed[key] = raw;
+        return;
+      }
+      const { value, ok } = coerceValue(raw, type, locale);
+      if (!ok) warn(`Could not parse "${raw}" as ${type}${where} (row ${rowIndex + 1}, column "${key}"); using null`);
+      typed[key] = value;
+    });
+    return typed;
+  });
+  return withColumnUnits(typedRows, units);
+}
+
+/**
+ * Get a column's filled cells
+ * @param {Object[]} rows - Array of row objects
+ * @param {string} key - Column name
+ * @returns {Array} - Cell values other than null, undefined and blank strings
+ */
+function filledValues(rows, key) {
+  return rows
+    .map(row => row[key])
+    .filter(v => v != null && !(typeof v === 'string' && v.trim() === ''));
+}
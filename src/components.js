@@ -0,0 +1,155 @@
+import { slugify, escapeHtml, renderDownloadLink } from './utils.js';
+import { formatNumber } from './formatters.js';
+import { themes, paletteTheme } from './themes.js';
+
+export { renderDownloadLink, formatNumber };
+
+/**
+ * Get the palette class for a series or segment
+ * @param {number} index - Zero-based series index
+ * @returns {string} - Color class, e.g. "chart-color-1"
+ */
+export function colorClass(index) {
+  return `chart-color-${index + 1}`;
+}
+
+/**
+ * Assign palette positions to series, donut labels or Sankey nodes
+ * Names in the `colors:` map keep their color however the data is ordered: a number picks that
+ * palette position, a CSS color gets a position of its own that the chart's <figure> style redefines.
+ * Other names take the unused positions in order.
+ * @param {string[]} keys - Series names, in data order
+ * @param {Object} [colors] - Map of name to a palette position (1-12) or a CSS color, already checked by renderChart
+ * @param {Object} [options] - Palette options
+ * @param {string[]} [options.theme] - Theme names; an eight-color palette (okabe-ito, viridis) repeats past its end
+ * @param {Function} [options.warn] - Called when keys without a CSS color fall past the end of the theme's palette
+ * @returns {{ position: Map<string, number>, override: Map<number, string>, style: string }} -
+ *   1-based palette position per key, CSS colors by position, and the custom properties for the <figure> style
+ */
+export function assignColors(keys, colors = {}, { theme, warn } = {}) {
+  const position = new Map();
+  const override = new Map();
+  const used = new Set();
+  keys.forEach(key => {
+    if (typeof colors[key] === 'number') {
+      position.set(key, colors[key]);
+      used.add(colors[key]);
+    }
+  });
+  let next = 1;
+  keys.forEach(key => {
+    if (position.has(key)) return;
+    while (used.has(next)) next++;
+    position.set(key, next);
+    used.add(next);
+    if (typeof colors[key] === 'string') override.set(next, colors[key]);
+  });
+  const style = [...override].map(([n, color]) => `--chart-color-${n}: ${color};`).join(' ');
+
+  const name = paletteTheme(theme);
+  const size = name ? themes[name].palette.length : Infinity;
+  if (warn && [...position.values()].some(n => n > size && !override.has(n))) {
+    warn(`the "${name}" palette has ${size} colors, so series ${size + 1} and up repeat them; give those series \`colors:\` of their own or show fewer series`);
+  }
+  return { position, override, style };
+}
+
+/**
+ * Get the class that identifies a series across legend and marks
+ * @param {string} key - Series (column) name
+ * @returns {string} - Series class, e.g. "chart-series-revenue"
+ */
+export function seriesClass(key) {
+  return `chart-series-${slugify(key)}`;
+}
+
+/**
+ * Build the class list for a chart's <figure>
+ * @param {string} type - Chart type (becomes "chart-{type}")
+ * @param {Object} [config] - Chart config
+ * @param {string} [config.id] - Chart id (becomes "chart-{id}")
+ * @param {boolean} [config.animate] - Adds "chart-animate"
+ * @param {string[]} [config.theme] - Adds "chart-theme-{name}" for each theme
+ * @param {boolean} [config.tooltips] - Adds "chart-tooltips" (see pointAttributes)
+ * @param {boolean} [config.interactive] - Adds "chart-interactive", which the client script enhances
+ * @param {string[]} [modifiers] - Extra classes, e.g. ["has-negative-y"]
+ * @returns {string} - Space-separated class list
+ */
+export function chartClasses(type, { id, animate, theme = [], tooltips, interactive } = {}, modifiers = []) {
+  return ['chart', `chart-${type}`, animate && 'chart-animate', ...theme.map(name => `chart-theme-${name}`), tooltips && 'chart-tooltips', interactive && 'chart-interactive', ...modifiers, id && `chart-${id}`]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Render the attributes that give a bar, segment, dot or node its label and value
+ * By default that's a native `title` tooltip. With `tooltips: true` the element becomes focusable and
+ * the text moves to `data-tooltip`, which the stylesheet shows on :hover and :focus-visible.
+ * @param {string} text - Label and formatted value, e.g. "Hotfix: 2"
+ * @param {boolean} [tooltips] - Render a focusable point with a styled tooltip
+ * @returns {string} - Attributes, e.g. 'title="Hotfix: 2"'
+ */
+export function pointAttributes(text, tooltips = false) {
+  const value = escapeHtml(text);
+  return tooltips
+    ? `tabindex="0" role="img" aria-label="${value}" data-tooltip="${value}"`
+    : `title="${value}"`;
+}
+
+/**
+ * Render the chart title and subtitle
+ * @param {string} [title] - Chart title
+ * @param {string} [subtitle] - Chart subtitle
+ * @returns {string} - <figcaption> HTML, or an empty string without a title
+ */
+export function renderTitle(title, subtitle) {
+  if (!title) return '';
+  let html = `<figcaption class="chart-title">${escapeHtml(title)}`;
+  if (subtitle) {
+    html += `<span class="chart-subtitle">${escapeHtml(subtitle)}</span>`;
+  }
+  html += `</figcaption>`;
+  return html;
+}
+
+/**
+ * Render a series legend
+ * @param {string[]} keys - Series (column) names, in color order
+ * @param {string[]} [labels] - Display labels (defaults to the series names)
+ * @param {Map<string, number>} [positions] - Palette position per series (see assignColors; defaults to the series order)
+ * @param {boolean} [toggle] - Mark the items with data-series, so the client script can switch series on and off
+ * @returns {string} - <ul> HTML, or an empty string without series
+ */
+export function renderLegend(keys, labels = keys, positions, toggle = false) {
+  if (keys.length === 0) return '';
+  let html = `<ul class="chart-legend">`;
+  keys.forEach((key, i) => {
+    const label = labels[i] ?? key;
+    const color = positions ? `chart-color-${positions.get(key)}` : colorClass(i);
+    const series = toggle ? ` data-series="${slugify(key)}"` : '';
+    html += `<li class="chart-legend-item ${color} ${seriesClass(key)}"${series}>${escapeHtml(label)}</li>`;
+  });
+  html += `</ul>`;
+  return html;
+}
+
+/**
+ * Render a Y-axis with formatted labels
+ * @param {number[]} values - Axis values from top to bottom
+ * @param {Object} [options] - Axis options
+ * @param {Object} [options.format] - Number format (see formatNumber)
+ * @param {string} [options.style] - Inline style, e.g. "--zero-position: 40.00%"
+ * @param {string} [options.title] - Axis title
+ * @returns {string} - Y-axis HTML
+ */
+export function renderYAxis(values, { format, style, title } = {}) {
+  let html = `<div class="chart-y-axis"${style ? ` style="${style}"` : ''}>`;
+  values.forEach(value => {
+    html += `<span class="axis-label">${formatNumber(value, format) || value}</span>`;
+  });
+  if (title != null) {
+    html += `<span class="axis-title">${escapeHtml(title)}</span>`;
+  }
+  html += `</div>`;
+  return html;
+}
@@ -0,0 +1,254 @@
+import { logWarning } from './utils.js';
+
+/**
+ * Functions available in compute expressions
+ * Each receives evaluated numeric arguments; null (a gap) propagates unless handled
+ */
+const functions = {
+  abs: x => Math.abs(x),
+  round: (x, digits = 0) => {
+    const factor = 10 ** digits;
+    return Math.round(x * factor) / factor;
+  },
+  min: (...args) => Math.min(...args),
+  max: (...args) => Math.max(...args),
+  sqrt: x => (x < 0 ? null : Math.sqrt(x))
+};
+
+/**
+ * Split an expression into tokens
+ * @param {string} expr - Expression source
+ * @returns {Object[]} - Tokens: { type: 'number'|'name'|'op', value }
+ */
+function tokenize(expr) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < expr.length) {
+    const char = expr[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (/[\d.]/.test(char)) {
+      const match = expr.slice(i).match(/^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i);
+      if (!match) throw new Error(`invalid number at position ${i + 1}`);
+      tokens.push({ type: 'number', value: Number(match[0]) });
+      i += match[0].length;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const match = expr.slice(i).match(/^[A-Za-z_]\w*/);
+      tokens.push({ type: 'name', value: match[0] });
+      i += match[0].length;
+    } else if (char === '[') {
+      // Bracketed column names allow spaces and punctuation: [Profit/Loss]
+      const end = expr.indexOf(']', i);
+      if (end === -1) throw new Error(`unclosed "[" at position ${i + 1}`);
+      tokens.push({ type: 'column', value: expr.slice(i + 1, end) });
+      i = end + 1;
+    } else if ('+-*/%^(),'.includes(char)) {
+      tokens.push({ type: 'op', value: char });
+      i++;
+    } else {
+      throw new Error(`unexpected "${char}" at position ${i + 1}`);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse an expression into an AST (recursive descent, standard precedence)
+ * @param {string} expr - Expression source
+ * @returns {Object} - AST node
+ */
+function parse(expr) {
+  const tokens = tokenize(expr);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isOp = value => peek()?.type === 'op' && peek().value === value;
+  const expect = value => {
+    if (!isOp(value)) throw new Error(`expected "${value}"`);
+    pos++;
+  };
+
+  function parseAdditive() {
+    let node = parseMultiplicative();
+    while (isOp('+') || isOp('-')) {
+      const op = tokens[pos++].value;
+      node = { type: 'binary', op, left: node, right: parseMultiplicative() };
+    }
+    return node;
+  }
+
+  function parseMultiplicative() {
+    let node = parseUnary();
+    while (isOp('*') || isOp('/') || isOp('%')) {
+      const op = tokens[pos++].value;
+      node = { type: 'binary', op, left: node, right: parseUnary() };
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    if (isOp('-') || isOp('+')) {
+      const op = tokens[pos++].value;
+      const operand = parseUnary();
+      return op === '-' ? { type: 'negate', operand } : operand;
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parsePrimary();
+    if (isOp('^')) {
+      pos++;
+      return { type: 'binary', op: '^', left: base, right: parseUnary() };
+    }
+    return base;
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (!token) throw new Error('unexpected end of expression');
+    pos++;
+
+    if (token.type === 'number') return { type: 'number', value: token.value };
+    if (token.type === 'column') return { type: 'column', name: token.value };
+
+    if (token.type === 'name') {
+      if (!isOp('(')) return { type: 'column', name: token.value };
+
+      // Function call
+      pos++;
+      const args = [];
+      if (!isOp(')')) {
+        args.push(parseAdditive());
+        while (isOp(',')) {
+          pos++;
+          args.push(parseAdditive());
+        }
+      }
+      expect(')');
+
+      if (token.value === 'prev') {
+        if (args.length < 1 || args.length > 2) throw new Error('prev() takes a value and an optional row offset');
+        return { type: 'prev', operand: args[0], offset: args[1] ?? { type: 'number', value: 1 } };
+      }
+      if (!Object.hasOwn(functions, token.value)) {
+        throw new Error(`unknown function "${token.value}" (available: prev, ${Object.keys(functions).join(', ')})`);
+      }
+      return { type: 'call', name: token.value, args };
+    }
+
+    if (token.value === '(') {
+      const node = parseAdditive();
+      expect(')');
+      return node;
+    }
+
+    throw new Error(`unexpected "${token.value}"`);
+  }
+
+  const ast = parseAdditive();
+  if (pos < tokens.length) throw new Error(`unexpected "${tokens[pos].value}"`);
+  return ast;
+}
+
+/**
+ * Evaluate an AST node against a row
+ * @param {Object} node - AST node
+ * @param {Object[]} rows - All rows (for prev())
+ * @param {number} index - Current row index
+ * @returns {number|null} - Result, or null for gaps and invalid math
+ */
+function evaluate(node, rows, index) {
+  switch (node.type) {
+    case 'number':
+      return node.value;
+    case 'column': {
+      const row = rows[index];
+      if (!Object.hasOwn(row, node.name)) throw new Error(`unknown column "${node.name}"`);
+      const value = row[node.name];
+      return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+    case 'negate': {
+      const value = evaluate(node.operand, rows, index);
+      return value === null ? null : -value;
+    }
+    case 'prev': {
+      const offset = evaluate(node.offset, rows, index);
+      const target = index - (offset ?? 1);
+      return target >= 0 && target < rows.length ? evaluate(node.operand, rows, target) : null;
+    }
+    case 'call': {
+      const args = node.args.map(arg => evaluate(arg, rows, index));
+      if (args.some(arg => arg === null)) return null;
+      const result = functions[node.name](...args);
+      return result === null || Number.isFinite(result) ? result : null;
+    }
+    case 'binary': {
+      const left = evaluate(node.left, rows, index);
+      const right = evaluate(node.right, rows, index);
+      if (left === null || right === null) return null;
+      let result;
+      switch (node.op) {
+        case '+': result = left + right; break;
+        case '-': result = left - right; break;
+        case '*': result = left * right; break;
+        case '/': result = right === 0 ? null : left / right; break;
+        case '%': result = right === 0 ? null : left % right; break;
+        case '^': result = left ** right; break;
+      }
+      return result === null || Number.isFinite(result) ? result : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Compile a compute expression into a function
+ * Supports numbers, column names (bare identifiers or [Bracketed Name]), + - * / % ^,
+ * parentheses, prev(expr[, offset]) for previous-row values, and abs, round, min, max, sqrt.
+ * No JavaScript is evaluated; gaps (null) and division by zero produce null.
+ * @param {string} expr - Expression source, e.g. "profit / revenue" or "revenue - prev(revenue)"
+ * @returns {Function} - (rows, index) => number|null
+ */
+export function compileExpression(expr) {
+  const ast = parse(String(expr));
+  return (rows, index) => evaluate(ast, rows, index);
+}
+
+/**
+ * Add computed columns to rows
+ * Columns are computed in the order given, so later expressions can use earlier results
+ * @param {Object[]} rows - Array of row objects
+ * @param {Object} spec - Map of new column name to expression
+ * @param {Object} [options] - Options
+ * @param {string} [options.source] - Name used in warnings (chart id)
+ * @param {Function} [options.warn] - Warning handler (default: log to the console)
+ * @returns {Object[]} - New rows with computed columns appended
+ */
+export function computeColumns(rows, spec, options = {}) {
+  const { warn = logWarning } = options;
+  const where = options.source ? ` in ${options.source}` : '';
+  let result = rows.map(row => ({ ...row }));
+
+  Object.entries(spec ?? {}).forEach(([name, expr]) => {
+    let fn;
+    try {
+      fn = compileExpression(expr);
+    } catch (err) {
+      warn(`Invalid compute expression for "${name}"${where}: ${err.message}`);
+      return;
+    }
+
+    try {
+      const values = result.map((row, index) => fn(result, index));
+      result = result.map((row, index) => ({ ...row, [name]: values[index] }));
+    } catch (err) {
+      warn(`Could not compute "${name}"${where}: ${err.message}`);
+    }
+  });
+
+  return result;
+}
@@ -0,0 +1,63 @@
+import { logWarning, isPlainObject } from './utils.js';
+
+/**
+ * Deep-merge chart configs
+ * Nested objects (format, center, columns...) are merged key by key; arrays and other values are replaced
+ * @param {Object} base - Config to merge into
+ * @param {Object} [override] - Config whose values win
+ * @returns {Object} - New merged config
+ */
+export function mergeConfig(base, override) {
+  const result = { ...base };
+  Object.entries(override ?? {}).forEach(([key, value]) => {
+    result[key] = isPlainObject(value) && isPlainObject(result[key])
+      ? mergeConfig(result[key], value)
+      : value;
+  });
+  return result;
+}
+
+/**
+ * Resolve a config's `extends:` chain, deep-merging each parent under its child
+ * @param {Object} config - Chart config
+ * @param {Function} lookup - (chartId) => chart config or undefined
+ * @param {Function} warn - Warning handler
+ * @param {string[]} chain - Chart ids already visited (for cycle detection)
+ * @returns {Object} - Config without `extends`
+ */
+function resolveExtends(config, lookup, warn, chain) {
+  if (config.extends == null) return config;
+
+  const { extends: parentId, ...own } = config;
+  const id = String(parentId);
+
+  if (chain.includes(id)) {
+    warn(`Circular extends: ${[...chain, id].join(' -> ')}`);
+    return own;
+  }
+
+  const parent = lookup(id);
+  if (!parent) {
+    warn(`Cannot extend chart "${id}": not found`);
+    return own;
+  }
+
+  return mergeConfig(resolveExtends(parent, lookup, warn, [...chain, id]), own);
+}
+
+/**
+ * Build the effective config for a chart: type defaults, then `extends:` parents, then the chart's own keys
+ * @param {Object} config - Chart config as written
+ * @param {Object} [options] - Resolve options
+ * @param {string} [options.id] - Chart id (for cycle detection)
+ * @param {Function} [options.lookup] - (chartId) => chart config or undefined, used for `extends:`
+ * @param {Object} [options.defaults] - Map of chart type to default config
+ * @param {Function} [options.warn] - Warning handler (default: log to the console)
+ * @returns {Object} - Resolved chart config
+ */
+export function resolveChartConfig(config, options = {}) {
+  const { id, lookup = () => undefined, defaults = {}, warn = logWarning } = options;
+  const resolved = resolveExtends(config, lookup, warn, id != null ? [String(id)] : []);
+  const typeDefaults = defaults[resolved.type];
+  return typeDefaults ? mergeConfig(typeDefaults, resolved) : resolved;
+}
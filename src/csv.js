@@ -1,98 +1,199 @@
 import fs from 'fs';
 import path from 'path';
+import { typeColumns } from './coerce.js';
+import { logWarning } from './utils.js';
 
 /**
- * Parse a CSV line handling quoted fields
- * @param {string} line - CSV line
- * @returns {string[]} - Array of field values
+ * Candidate delimiters for auto-detection, in order of preference
  */
-function parseCSVLine(line) {
-  const fields = [];
-  let current = '';
+const DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+
+/**
+ * Detect the field delimiter from the first record of CSV content
+ * Counts each candidate outside of quoted fields and picks the most frequent
+ * @param {string} content - Raw CSV content (BOM already stripped)
+ * @param {string|false} [comment] - Comment prefix; commented lines are skipped
+ * @returns {string} - Detected delimiter (defaults to ',')
+ */
+export function detectDelimiter(content, comment = '#') {
+  const counts = new Map(DELIMITER_CANDIDATES.map(d => [d, 0]));
   let inQuotes = false;
+  let atLineStart = true;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (atLineStart && !inQuotes) {
+      // Skip comment and blank lines before the header
+      if ((comment && content.startsWith(comment, i)) || char === '\n' || char === '\r') {
+        const lineEnd = content.indexOf('\n', i);
+        if (lineEnd === -1) break;
+        i = lineEnd;
+        continue;
+      }
+      atLineStart = false;
+    }
+
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      // End of the first record
+      break;
+    } else if (!inQuotes && counts.has(char)) {
+      counts.set(char, counts.get(char) + 1);
+    }
+  }
+
+  let best = ',';
+  let bestCount = 0;
+  counts.forEach((count, delimiter) => {
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+  return best;
+}
 
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-    const nextChar = line[i + 1];
+/**
+ * Split CSV content into records of raw field values (RFC 4180)
+ * Single pass over the content: quoted fields may contain delimiters, escaped
+ * quotes ("") and line breaks; records may end in LF, CRLF or CR.
+ * @param {string} content - Raw CSV content (BOM already stripped)
+ * @param {string} delimiter - Field separator
+ * @param {string|false} comment - Comment prefix, or false to disable comments
+ * @returns {string[][]} - Array of records, each an array of field values
+ */
+function parseRecords(content, delimiter, comment) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let wasQuoted = false;
+  let atRecordStart = true;
+
+  const endField = () => {
+    // Unquoted fields are trimmed; quoted fields keep their whitespace
+    record.push(wasQuoted ? field : field.trim());
+    field = '';
+    wasQuoted = false;
+  };
+
+  const endRecord = () => {
+    endField();
+    // Skip blank lines
+    if (record.length > 1 || record[0] !== '') {
+      records.push(record);
+    }
+    record = [];
+    atRecordStart = true;
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
 
     if (inQuotes) {
-      if (char === '"' && nextChar === '"') {
+      if (char === '"' && content[i + 1] === '"') {
         // Escaped quote
-        current += '"';
+        field += '"';
         i++;
       } else if (char === '"') {
         // End of quoted field
         inQuotes = false;
       } else {
-        current += char;
+        field += char;
       }
+      continue;
+    }
+
+    // Comment lines are only recognized at the start of a record
+    if (atRecordStart && comment && content.startsWith(comment, i)) {
+      const lineEnd = content.indexOf('\n', i);
+      i = lineEnd === -1 ? content.length : lineEnd;
+      continue;
+    }
+    atRecordStart = false;
+
+    if (char === '"' && field.trim() === '') {
+      // Start of quoted field (leading whitespace is dropped)
+      inQuotes = true;
+      wasQuoted = true;
+      field = '';
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\r') {
+      // CRLF or bare CR ends the record
+      if (content[i + 1] === '\n') i++;
+      endRecord();
+    } else if (char === '\n') {
+      endRecord();
+    } else if (wasQuoted && (char === ' ' || char === '\t')) {
+      // Ignore whitespace between a closing quote and the next delimiter
     } else {
-      if (char === '"') {
-        // Start of quoted field
-        inQuotes = true;
-      } else if (char === ',') {
-        // Field separator
-        fields.push(current.trim());
-        current = '';
-      } else {
-        current += char;
-      }
+      field += char;
     }
   }
 
-  // Push last field
-  fields.push(current.trim());
+  // Final record without a trailing newline
+  if (!atRecordStart || field !== '' || record.length > 0) {
+    endRecord();
+  }
 
-  return fields;
+  return records;
 }
 
 /**
  * Parse CSV content into array of objects
  * @param {string} content - Raw CSV content
+ * @param {Object} [options] - Parser options
+ * @param {string} [options.delimiter] - Field separator (default: ','); 'auto' detects from the header row
+ * @param {string|boolean} [options.comment] - Prefix marking comment lines (default: '#'); true means '#', false disables comments
+ * @param {Object} [options.columns] - Map of column name to type (see typeColumns)
+ * @param {string} [options.locale] - Locale for numeric parsing (default: 'en-US')
+ * @param {string} [options.source] - Name used in parse warnings
+ * @param {Function} [options.warn] - Warning handler (default: log to the console)
  * @returns {Object[]} - Array of row objects with header keys
  */
-export function parseCSV(content) {
-  const lines = content
-    .trim()
-    .split('\n')
-    .filter(line => !line.startsWith('#') && line.trim() !== '');
+export function parseCSV(content, options = {}) {
+  const comment = options.comment === true || options.comment == null ? '#' : options.comment;
 
-  if (lines.length < 2) return [];
+  // Strip UTF-8 byte order mark (added by Excel and others)
+  const text = String(content).replace(/^\uFEFF/, '');
+  const delimiter = options.delimiter === 'auto'
+    ? detectDelimiter(text, comment)
+    : (options.delimiter || ',');
 
-  const headers = parseCSVLine(lines[0]);
-  const rows = [];
+  const records = parseRecords(text, delimiter, comment);
+  if (records.length < 2) return [];
 
-  for (let i = 1; i < lines.length; i++) {
-    const values = parseCSVLine(lines[i]);
-    const row = {};
+  const [headers, ...values] = records;
 
+  const rows = values.map(fields => {
+    const row = {};
     headers.forEach((header, index) => {
-      const value = values[index] ?? '';
-      // Try to parse as number, keep as string if not numeric
-      const num = parseFloat(value);
-      row[header] = isNaN(num) ? value : num;
+      row[header] = fields[index] ?? '';
     });
+    return row;
+  });
 
-    rows.push(row);
-  }
-
-  return rows;
+  return typeColumns(rows, options);
 }
 
 /**
  * Load and parse a CSV file
  * @param {string} filePath - Path to CSV file (relative to data directory)
  * @param {string} dataDir - Base data directory path
+ * @param {Object} [options] - Parser options (see parseCSV)
  * @returns {Object[]} - Parsed CSV data
  */
-export function loadCSV(filePath, dataDir) {
+export function loadCSV(filePath, dataDir, options = {}) {
   const fullPath = path.join(dataDir, filePath);
 
   if (!fs.existsSync(fullPath)) {
-    console.warn(`[uncharted] CSV file not found: ${fullPath}`);
+    (options.warn ?? logWarning)(`CSV file not found: ${fullPath}`);
     return [];
   }
 
   const content = fs.readFileSync(fullPath, 'utf-8');
-  return parseCSV(content);
+  return parseCSV(content, { source: filePath, ...options });
 }
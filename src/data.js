@@ -0,0 +1,345 @@
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { parseCSV } from './csv.js';
+import { typeColumns, columnUnits, withColumnUnits } from './coerce.js';
+import { logWarning, isPlainObject } from './utils.js';
+
+/**
+ * Map of file extensions to data formats
+ */
+const extensionFormats = {
+  '.csv': 'csv',
+  '.tsv': 'tsv',
+  '.json': 'json',
+  '.yaml': 'yaml',
+  '.yml': 'yaml'
+};
+
+/**
+ * Parsers for each supported data format
+ */
+const parsers = {
+  csv: (content, options) => parseCSV(content, { ...options, delimiter: options.delimiter ?? 'auto' }),
+  tsv: (content, options) => parseCSV(content, { ...options, delimiter: '\t' }),
+  json: (content, options) => typeColumns(fileRows(JSON.parse(content), options), options),
+  yaml: (content, options) => typeColumns(fileRows(yaml.load(content), options), options)
+};
+
+/**
+ * Read the rows of a parsed JSON or YAML file, warning when its top level isn't an array
+ * @param {*} parsed - Parsed file contents
+ * @param {Object} options - Parser options
+ * @param {string} options.source - File name used in warnings
+ * @param {Function} options.warn - Warning handler
+ * @returns {Object[]} - Array of row objects
+ */
+function fileRows(parsed, { source, warn }) {
+  if (Array.isArray(parsed)) return normalizeRows(parsed);
+
+  if (parsed == null) {
+    warn(`${source} is empty; it must contain an array of records`);
+    return [];
+  }
+  const kind = typeof parsed === 'object' ? 'an object' : `a ${typeof parsed}`;
+  const nested = isPlainObject(parsed) ? Object.keys(parsed).filter(key => Array.isArray(parsed[key])) : [];
+  const hint = nested.length > 0
+    ? ` (to chart its "${nested[0]}" list, keep the file in Eleventy's data directory and use \`dataSource:\` with a path ending in ".${nested[0]}")`
+    : '';
+  warn(`${source} must contain an array of records, but its top level is ${kind}${hint}`);
+  return [];
+}
+
+/**
+ * Parsed files keyed by full path; entries are reused while the file's mtime and size are unchanged
+ * Parse warnings are kept with the rows and repeated for every chart that uses the file
+ */
+const parseCache = new Map();
+
+/**
+ * Clear the parsed data file cache
+ */
+export function clearDataCache() {
+  parseCache.clear();
+}
+
+/**
+ * Detect the data format of a file from its extension
+ * @param {string} filePath - Path to data file
+ * @returns {string} - Format name (falls back to 'csv' for unknown extensions)
+ */
+export function detectFormat(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  return extensionFormats[ext] ?? 'csv';
+}
+
+/**
+ * Normalize structured data (JSON/YAML) into an array of row objects
+ * Accepts an array of objects, or an array of arrays whose first entry is the header row
+ * @param {*} parsed - Parsed file contents
+ * @returns {Object[]} - Array of row objects with header keys
+ */
+export function normalizeRows(parsed) {
+  if (!Array.isArray(parsed) || parsed.length === 0) return [];
+
+  // Array of arrays: first row holds the column names
+  if (Array.isArray(parsed[0])) {
+    const [headers, ...records] = parsed;
+    return records.map(values => {
+      const row = {};
+      headers.forEach((header, index) => {
+        row[String(header)] = values[index] ?? '';
+      });
+      return row;
+    });
+  }
+
+  return parsed
+    .filter(item => item && typeof item === 'object')
+    .map(item => ({ ...item }));
+}
+
+/**
+ * Load and parse a data file, choosing a parser from the file extension
+ * Parsed rows are cached until the file's modification time changes
+ * @param {string} filePath - Path to data file (relative to data directory)
+ * @param {string} dataDir - Base data directory path
+ * @param {Object} [options] - Loader options
+ * @param {string} [options.format] - Force a format ('csv', 'tsv', 'json', 'yaml') regardless of extension
+ * @param {string} [options.delimiter] - CSV field separator (default: auto-detected)
+ * @param {string|boolean} [options.comment] - CSV/TSV comment prefix (default: '#'); true means '#', false disables comments
+ * @param {Object} [options.columns] - Map of column name to type (see typeColumns)
+ * @param {string} [options.locale] - Locale for numeric parsing (default: 'en-US')
+ * @param {Function} [options.warn] - Warning handler (default: log to the console)
+ * @returns {Object[]} - Parsed data rows
+ */
+export function loadData(filePath, dataDir, options = {}) {
+  const { delimiter, comment, columns, locale, warn = logWarning } = options;
+  const fullPath = path.join(dataDir, filePath);
+  const format = options.format ? String(options.format).toLowerCase() : detectFormat(filePath);
+  const parser = parsers[format === 'yml' ? 'yaml' : format];
+
+  if (!parser) {
+    warn(`Unknown data format "${format}" for ${fullPath}`);
+    return [];
+  }
+
+  let stats;
+  try {
+    stats = fs.statSync(fullPath);
+  } catch {
+    warn(`Data file not found: ${fullPath}`);
+    return [];
+  }
+
+  // Reuse the parsed rows if the file and parse options are unchanged
+  const cacheKey = JSON.stringify([format, delimiter, comment, columns, locale]);
+  const cached = parseCache.get(fullPath);
+  if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size && cached.key === cacheKey) {
+    cached.warnings.forEach(warn);
+    return withColumnUnits(cached.rows.map(row => ({ ...row })), columnUnits(cached.rows));
+  }
+
+  // Strip UTF-8 byte order mark so JSON/YAML parsers don't choke on it
+  const content = fs.readFileSync(fullPath, 'utf-8').replace(/^\uFEFF/, '');
+
+  const warnings = [];
+  let rows;
+  try {
+    rows = parser(content, { source: filePath, ...options, warn: message => warnings.push(message) });
+  } catch (err) {
+    warn(`Could not parse ${fullPath} as ${format}: ${err.message}`);
+    return [];
+  }
+
+  parseCache.set(fullPath, { mtimeMs: stats.mtimeMs, size: stats.size, key: cacheKey, rows, warnings });
+  warnings.forEach(warn);
+  return withColumnUnits(rows.map(row => ({ ...row })), columnUnits(rows));
+}
+
+/**
+ * Outer-join several tables on a key column
+ * Rows keep the order of first appearance (first table first); cells missing from a
+ * table become null so renderers show gaps rather than zeros.
+ * @param {Object[]} tables - Tables to join: { rows, key, prefix, rename, name }
+ * @param {Object[]} tables[].rows - Array of row objects
+ * @param {string} [tables[].key] - Key column in this table (defaults to its first column)
+ * @param {string} [tables[].prefix] - Prefix added to this table's other column names
+ * @param {Object} [tables[].rename] - Map of original to new column names (takes precedence over prefix)
+ * @param {string} [tables[].name] - Name used in warnings (file path)
+ * @param {Object} [options] - Join options
+ * @param {Function} [options.warn] - Warning handler (default: log to the console)
+ * @returns {Object[]} - Joined rows; the key column comes first, named after the first table's key
+ */
+export function joinRows(tables, options = {}) {
+  const { warn = logWarning } = options;
+  const populated = tables.filter(table => table.rows.length > 0);
+  if (populated.length === 0) return [];
+
+  const keyName = populated[0].key ?? Object.keys(populated[0].rows[0])[0];
+  const columns = [];
+  const joined = new Map();
+
+  populated.forEach(({ rows, key, prefix = '', rename = {}, name }) => {
+    const tableKey = key ?? Object.keys(rows[0])[0];
+    const keys = Object.keys(rows[0]);
+
+    if (!keys.includes(tableKey)) {
+      warn(`Join key "${tableKey}" not found in ${name ?? 'table'} (columns: ${keys.join(', ')}); skipping`);
+      return;
+    }
+
+    // Map this table's value columns to their output names
+    const mapped = [];
+    keys.filter(k => k !== tableKey).forEach(k => {
+      const output = rename[k] ?? `${prefix}${k}`;
+      if (output === keyName || columns.includes(output)) {
+        warn(`Column "${output}" from ${name ?? 'table'} already exists in the join; use prefix or rename to keep it`);
+        return;
+      }
+      columns.push(output);
+      mapped.push([k, output]);
+    });
+
+    rows.forEach(row => {
+      const id = String(row[tableKey]);
+      if (!joined.has(id)) joined.set(id, { [keyName]: row[tableKey] });
+      const target = joined.get(id);
+      mapped.forEach(([k, output]) => {
+        if (target[output] === undefined) target[output] = row[k];
+      });
+    });
+  });
+
+  // Fill gaps so every row has every column
+  return Array.from(joined.values()).map(row => {
+    const filled = { [keyName]: row[keyName] };
+    columns.forEach(column => {
+      const value = row[column];
+      filled[column] = value === undefined || value === '' ? null : value;
+    });
+    return filled;
+  });
+}
+
+/**
+ * Load several data files and join them into one table
+ * @param {Array<string|Object>} files - File paths, or { path, prefix, rename, on, fileFormat, delimiter }
+ * @param {string} dataDir - Base data directory path
+ * @param {Object} [options] - Loader options shared by every file (see loadData)
+ * @param {string} [options.join] - Key column to join on (defaults to each file's first column)
+ * @param {Function} [options.warn] - Warning handler (default: log to the console)
+ * @returns {Object[]} - Joined data rows
+ */
+export function loadJoinedData(files, dataDir, options = {}) {
+  const { join, columns, warn, ...loadOptions } = options;
+
+  const tables = files.map(entry => {
+    const spec = typeof entry === 'string' ? { path: entry } : entry;
+    const { path: filePath, prefix, rename, on, fileFormat, ...fileOptions } = spec;
+    return {
+      rows: loadData(filePath, dataDir, { ...loadOptions, ...fileOptions, format: fileFormat ?? loadOptions.format, warn }),
+      key: on ?? join,
+      prefix,
+      rename,
+      name: filePath
+    };
+  });
+
+  // Apply the column schema to the joined (renamed) columns
+  const joined = typeColumns(joinRows(tables, { warn }), {
+    columns,
+    locale: options.locale,
+    source: files.map(f => f.path ?? f).join(' + '),
+    warn
+  });
+
+  // Each file's units follow its columns to their joined names
+  const units = {};
+  tables.forEach(({ rows, prefix = '', rename = {} }) => {
+    Object.entries(columnUnits(rows)).forEach(([column, unit]) => {
+      units[rename[column] ?? `${prefix}${column}`] ??= unit;
+    });
+  });
+  return withColumnUnits(joined, { ...units, ...columnUnits(joined) });
+}
+
+/**
+ * Read a dotted path (e.g. "metrics.weekly" or "data.title") from an object
+ * @param {Object} obj - Object to read from
+ * @param {string} keyPath - Dotted property path
+ * @returns {*} - Value at the path, or undefined if any segment is missing
+ */
+export function getPath(obj, keyPath) {
+  return String(keyPath)
+    .split('.')
+    .filter(Boolean)
+    .reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+/**
+ * Check whether a value is an Eleventy collection item
+ * Uses `in` so the item's templateContent getter, which throws before the page is rendered, isn't run
+ * @param {*} item - Array entry from the data cascade
+ * @returns {boolean} - True for collection items
+ */
+function isCollectionItem(item) {
+  return item != null && typeof item === 'object' && 'templateContent' in item && 'inputPath' in item;
+}
+
+/**
+ * Resolve a chart `dataSource:` against the template data cascade
+ * A string is a dotted path; an object is { from, map } where `map` maps column
+ * names to dotted paths read from each item. Arrays become one row per item; plain
+ * objects become one label/value row per key, with arrays counted (so `collections`
+ * gives the number of items per tag, without Eleventy's `all` collection). Anything else
+ * (a string, number, Date...) is rejected with a warning.
+ * Collection items need a `map`, since copying them whole would render their content too early.
+ * @param {string|Object} source - Dotted path, or { from, map }
+ * @param {Object} templateData - Template data (collections, global data, frontmatter)
+ * @param {Object} [options] - Resolve options
+ * @param {Function} [options.warn] - Warning handler (default: log to the console)
+ * @returns {Object[]} - Array of row objects
+ */
+export function resolveSource(source, templateData, options = {}) {
+  const { warn = logWarning } = options;
+  const { from, map } = typeof source === 'string' ? { from: source } : source;
+  const value = getPath(templateData, from);
+
+  if (value == null) {
+    warn(`Data source "${from}" not found in template data`);
+    return [];
+  }
+  if (!Array.isArray(value) && !isPlainObject(value)) {
+    const kind = typeof value === 'object' ? Object.prototype.toString.call(value).slice(8, -1) : typeof value;
+    warn(`Data source "${from}" is a ${kind}; expected an array or an object`);
+    return [];
+  }
+
+  // Plain objects: one item per key
+  const items = Array.isArray(value)
+    ? value
+    : Object.entries(value)
+      .filter(([key]) => !(from === 'collections' && key === 'all'))
+      .map(([key, entry]) => ({
+        label: key,
+        value: Array.isArray(entry) ? entry.length : entry
+      }));
+
+  if (map) {
+    return items.map(item => {
+      const row = {};
+      Object.entries(map).forEach(([column, itemPath]) => {
+        row[column] = getPath(item, itemPath) ?? '';
+      });
+      return row;
+    });
+  }
+
+  if (items.some(isCollectionItem)) {
+    warn(`Data source "${from}" holds Eleventy collection items; add a map of columns to read from each, e.g. { from: "${from}", map: { title: "data.title", date: "date" } }`);
+    return [];
+  }
+
+  return normalizeRows(items);
+}
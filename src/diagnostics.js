@@ -0,0 +1,58 @@
+import { escapeHtml } from './utils.js';
+
+/**
+ * Render a visible placeholder for a chart that could not be rendered
+ * Used during development so broken charts aren't hidden in HTML comments
+ * @param {Object} options - Placeholder options
+ * @param {string} [options.id] - Chart id (omitted for inline charts)
+ * @param {string} [options.page] - Input path of the page using the chart
+ * @param {string[]} options.messages - Problems found, most important last
+ * @param {Object} [options.row] - Data row that caused the failure
+ * @returns {string} - HTML string
+ */
+export function renderChartError({ id, page, messages, row }) {
+  let html = `<figure class="chart chart-error" role="alert">`;
+  const name = id != null ? `Chart "${id}"` : 'Inline chart';
+  html += `<figcaption class="chart-title">${escapeHtml(name)} could not be rendered`;
+  if (page) {
+    html += `<span class="chart-subtitle">${escapeHtml(page)}</span>`;
+  }
+  html += `</figcaption>`;
+
+  html += `<ul class="chart-error-messages">`;
+  messages.forEach(message => {
+    html += `<li>${escapeHtml(message)}</li>`;
+  });
+  html += `</ul>`;
+
+  if (row) {
+    const cells = Object.entries(row).map(([key, value]) => `${key}: ${value ?? ''}`).join(', ');
+    html += `<code class="chart-error-row">${escapeHtml(cells)}</code>`;
+  }
+
+  html += `</figure>`;
+  return html;
+}
+
+/**
+ * Format the end-of-build summary of charts with problems
+ * @param {Object[]} entries - Diagnostics: { id, page, status, messages }
+ * @param {string} entries[].status - 'failed' (not rendered) or 'warning' (rendered with fallbacks)
+ * @returns {string} - Summary text, or an empty string when there is nothing to report
+ */
+export function formatDiagnostics(entries) {
+  if (entries.length === 0) return '';
+
+  const failed = entries.filter(entry => entry.status === 'failed').length;
+  const count = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  const lines = [`${count(failed, 'chart')} failed, ${count(entries.length - failed, 'chart')} rendered with warnings:`];
+
+  entries.forEach(({ id, page, status, messages }) => {
+    const last = messages[messages.length - 1] ?? '';
+    const more = messages.length > 1 ? ` (+${messages.length - 1} more)` : '';
+    const name = id != null ? `"${id}"` : 'inline chart';
+    lines.push(`  ${status === 'failed' ? 'failed ' : 'warning'} ${name}${page ? ` on ${page}` : ''}: ${last}${more}`);
+  });
+
+  return lines.join('\n');
+}
@@ -1,4 +1,18 @@
 export { renderers } from './renderers/index.js';
-export { loadCSV, parseCSV } from './csv.js';
+export { svgRenderers } from './svg/index.js';
+export { inlineStyles } from './inline-styles.js';
+export { themes, resolveTheme, resolveColors, themePalette } from './themes.js';
+export { renderChart, renderPage } from './render.js';
+export { cssFile, cssParts, chartTypesIn, stylesheetParts, pageStylesheetParts, readStylesheet } from './stylesheet.js';
+export { loadCSV, parseCSV, detectDelimiter } from './csv.js';
+export { loadData, loadJoinedData, clearDataCache, joinRows, detectFormat, normalizeRows, resolveSource, getPath } from './data.js';
+export { applyTransforms, transforms } from './transforms.js';
+export { computeColumns, compileExpression } from './compute.js';
+export { resolveChartConfig, mergeConfig } from './config.js';
+export { validateChartConfig, validateChartData, chartSchemas, suggest } from './validate.js';
+export { renderChartError, formatDiagnostics } from './diagnostics.js';
+export { typeColumns, coerceValue, parseNumber, parseDate, COLUMN_TYPES } from './coerce.js';
 export { slugify, calculatePercentages, getLabelKey, getValueKey, getSeriesNames, escapeHtml } from './utils.js';
 export { formatNumber } from './formatters.js';
+export { renderTitle, renderLegend, renderYAxis, renderDownloadLink, chartClasses, colorClass, assignColors, seriesClass, pointAttributes } from './components.js';
+export { renderTextAlternative, renderDataTable, seriesTable, recordTable, summarizeSeries } from './accessibility.js';
@@ -0,0 +1,270 @@
+import { neutral } from './svg/components.js';
+import { themePalette, themeText, themesFromClasses } from './themes.js';
+
+/**
+ * How many times resolveVars() replaces var() references before giving up on a cycle
+ */
+const MAX_VAR_PASSES = 10;
+
+/**
+ * Declarations for chart elements, by class, mirroring uncharted.css
+ * `var(--color)` is the element's palette color; other custom properties come from the element or the chart's <figure>
+ * test/unit/inline-styles.test.js compares them with the stylesheet.
+ */
+export const rules = {
+  'chart': 'margin: 0 0 1.5rem',
+  'chart-title': 'display: block; font-weight: 600; margin-bottom: 0.75rem',
+  'chart-subtitle': 'display: block; font-weight: normal; font-size: 0.875em; opacity: 0.7; margin-top: 0.25rem',
+  'chart-legend': 'list-style: none; padding: 0; margin: 0 0 1rem 0; font-size: 0.875rem',
+  'chart-legend-item': 'display: inline-block; margin: 0 1rem 0.375rem 0; background: transparent',
+  'legend-value': 'opacity: 0.7; margin-left: 0.125rem',
+  'chart-body': 'display: flex; gap: 0.5rem',
+  'chart-y-axis': 'position: relative; display: flex; flex-direction: column; justify-content: space-between; align-items: flex-end; min-width: 2rem; height: 12rem; box-sizing: border-box; padding-top: 0.5rem',
+  'axis-label': 'font-size: 0.7rem; opacity: 0.6; line-height: 1',
+  'axis-title': 'font-size: 0.7rem; opacity: 0.6; white-space: nowrap',
+  'chart-scroll': 'flex: 1; min-width: 0',
+  'column-label': 'flex: 1; min-width: 1rem; font-size: 0.7rem; opacity: 0.6; text-align: center; white-space: nowrap; overflow: hidden; text-overflow: ellipsis',
+  'dot-label': 'flex: 1; min-width: 1.5rem; font-size: 0.7rem; opacity: 0.6; text-align: center',
+
+  // Stacked bar
+  'chart-bars': 'display: grid; grid-template-columns: auto 1fr auto; gap: 0.5rem 0.75rem; align-items: stretch',
+  'bar-row': 'display: contents',
+  'bar-label': 'font-size: 0.875rem; text-align: right',
+  'bar-track': 'min-height: 1.5rem; border-radius: 3px; overflow: hidden; background: var(--chart-bg)',
+  'bar-fills': 'display: flex; height: 100%',
+  'bar-fill': 'height: 100%; width: var(--value); background-color: var(--color)',
+  'bar-value': 'font-size: 0.875rem; min-width: 2rem',
+
+  // Stacked column
+  'chart-columns': 'position: relative; display: flex; gap: 0.5rem; height: 12rem; padding: 0.5rem 0.5rem 0 0.5rem; box-sizing: border-box; background: var(--chart-bg); border-radius: 3px',
+  'column-track': 'display: flex; flex-direction: column-reverse; flex: 1; min-width: 1rem; border-radius: 3px 3px 0 0; overflow: hidden',
+  'column-segment': 'width: 100%; height: var(--value); background-color: var(--color)',
+  'column-labels': 'display: flex; gap: 0.5rem; padding: 0.25rem 0.5rem 0',
+
+  // Dot, line and scatter
+  'dot-chart': 'position: relative; height: 12rem; box-sizing: border-box; background: var(--chart-bg); border-radius: 3px',
+  'dot-field': 'position: absolute; top: 0.5rem; right: 0.5rem; bottom: 0; left: 0.5rem; display: flex; gap: 6px',
+  'dot-col': 'flex: 1; position: relative; min-width: 1.5rem',
+  'dot': 'position: absolute; left: 50%; bottom: var(--value); width: 0.75rem; height: 0.75rem; border-radius: 50%; transform: translate(-50%, 50%); background-color: var(--color)',
+  'dot-labels': 'display: flex; gap: 6px; padding: 0 0.5rem; margin-top: 0.5rem',
+  'chart-line-segment': 'position: absolute; top: 0; right: 0; bottom: 0; left: 0; pointer-events: none',
+  'scatter-container': 'flex: 1; min-width: 0',
+  'dot-area': 'position: relative; height: 12rem; box-sizing: border-box; background: var(--chart-bg); border-radius: 3px',
+  'chart-x-axis': 'display: flex; flex-wrap: wrap; justify-content: space-between; padding: 0.25rem 0.5rem 0.25rem 0; margin-top: 0.25rem',
+
+  // Donut
+  'donut-body': 'display: flex; flex-wrap: wrap; align-items: center; justify-content: center; gap: 2rem',
+  'donut-container': 'position: relative; width: 20rem; max-width: 100%; aspect-ratio: 1',
+  'donut-ring': 'width: 100%; height: 100%; border-radius: 50%; mask-image: radial-gradient(circle at center, transparent 30%, black 30%); -webkit-mask-image: radial-gradient(circle at center, transparent 30%, black 30%)',
+  'donut-center': 'position: absolute; top: 0; right: 0; bottom: 0; left: 0; display: flex; flex-direction: column; align-items: center; justify-content: center; text-align: center',
+  'donut-value': 'font-size: 2rem; font-weight: 600; line-height: 1',
+  'donut-label': 'font-size: 0.75rem; opacity: 0.7; margin-top: 0.25rem',
+
+  // Sankey
+  'chart-sankey-container': 'position: relative; display: grid; grid-template-columns: var(--grid-columns); min-height: calc(16rem * var(--height-scale)); padding: 1rem 0',
+  'chart-sankey-level': 'position: relative; min-width: var(--node-width); grid-row: 1; z-index: 1',
+  'chart-sankey-node': 'position: absolute; top: var(--top); height: var(--height); width: var(--node-width); background-color: var(--color); display: flex; align-items: center',
+  'chart-sankey-node-label': 'position: absolute; white-space: nowrap; font-size: 0.75rem; padding: 0 0.5rem',
+  'chart-sankey-flow': 'grid-row: 1 / -1; width: 100%; height: 100%; overflow: visible',
+
+  // Text alternative
+  'chart-sr-only': 'position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; overflow: hidden; clip-path: inset(50%); white-space: nowrap; border: 0',
+  'chart-data': 'margin-top: 0.75rem; font-size: 0.875rem',
+  'chart-data-table': 'border-collapse: collapse; margin-top: 0.5rem; font-variant-numeric: tabular-nums'
+};
+
+/**
+ * Declarations that depend on the chart's modifier classes or the element's position in the chart
+ * @param {string[]} classes - Element classes
+ * @param {Object} chart - Chart context: { classes, level } (level is the current Sankey level's classes)
+ * @returns {string[]} - Extra declarations
+ */
+function contextRules(classes, chart) {
+  const has = name => classes.includes(name);
+  const chartHas = name => chart.classes.includes(name);
+  const extra = [];
+
+  if (chartHas('has-negative-y') && chartHas('chart-stacked-column')) {
+    if (has('chart-columns')) extra.push('padding-bottom: 0.5rem');
+    if (has('column-track')) extra.push('position: relative; flex-direction: column; overflow: visible');
+    if (has('column-segment')) {
+      extra.push('position: absolute; left: 0; right: 0; bottom: var(--value-bottom, 0); height: var(--value-height, 0)');
+      if (has('is-stack-end')) extra.push(has('is-negative') ? 'border-radius: 0 0 3px 3px' : 'border-radius: 3px 3px 0 0');
+    }
+  } else if (has('column-segment') && has('is-stack-end')) {
+    extra.push('border-radius: 3px 3px 0 0');
+  }
+
+  if (chartHas('chart-scatter')) {
+    if (has('dot-field')) extra.push('left: 0; display: block');
+    if (has('dot')) extra.push('left: var(--x)');
+  }
+  if (chartHas('no-dots') && has('dot')) extra.push('display: none');
+  if (chartHas('rotate-labels') && (has('column-label') || has('dot-label'))) {
+    extra.push('writing-mode: vertical-rl; transform: rotate(180deg); overflow: visible');
+  }
+
+  if (has('axis-title')) {
+    extra.push(chart.inYAxis
+      ? 'position: absolute; left: -0.5rem; top: 50%; transform: rotate(-90deg) translateX(-50%); transform-origin: left center'
+      : 'flex-basis: 100%; text-align: center; margin-top: 0.5rem');
+  }
+
+  if (has('chart-sankey-container') && chartHas('chart-sankey-end-labels-outside')) {
+    extra.push('padding-right: var(--end-label-width)');
+  }
+  if (has('chart-sankey-node')) {
+    if (chart.level.includes('chart-sankey-level-first')) extra.push('border-radius: 3px 0 0 3px');
+    if (chart.level.includes('chart-sankey-level-last')) extra.push('border-radius: 0 3px 3px 0');
+  }
+  if (has('chart-sankey-node-label')) {
+    const pointsLeft = chart.level.includes('chart-sankey-level-last') && !chartHas('chart-sankey-end-labels-outside');
+    extra.push(pointsLeft ? 'right: 100%; text-align: right' : 'left: 100%; text-align: left');
+  }
+
+  return extra;
+}
+
+/**
+ * Read the custom properties from a style attribute
+ * @param {string} style - Inline style
+ * @returns {Object} - Map of property name to value
+ */
+function customProperties(style) {
+  const vars = {};
+  style.split(';').forEach(declaration => {
+    const match = declaration.match(/^\s*(--[\w-]+)\s*:\s*(.+?)\s*$/);
+    if (match) vars[match[1]] = match[2];
+  });
+  return vars;
+}
+
+/**
+ * Get the color at a palette position, preferring the chart's `colors:` overrides
+ * @param {number} position - 1-based palette position
+ * @param {Object} vars - Custom property values, including any --chart-color-N set on the <figure>
+ * @param {string[]} palette - Series colors
+ * @returns {string} - CSS color
+ */
+function paletteColor(position, vars, palette) {
+  return vars[`--chart-color-${position}`] ?? palette[(position - 1) % palette.length];
+}
+
+/**
+ * Replace var() references with their values
+ * @param {string} text - CSS text
+ * @param {Object} vars - Custom property values
+ * @param {string[]} palette - Series colors for --chart-color-N and --donut-N
+ * @returns {string} - CSS text without resolvable var() references
+ */
+function resolveVars(text, vars, palette) {
+  let previous;
+  let result = text;
+  // Values can refer to other custom properties (e.g. --grid-columns uses --sankey-node-width);
+  // a property that refers to itself never settles, so stop after a few passes
+  let passes = 0;
+  do {
+    previous = result;
+    result = result.replace(/var\((--[\w-]+)(?:,\s*([^()]+))?\)/g, (match, name, fallback) => {
+      const palettePosition = name.match(/^--(?:chart-color|donut)-(\d+)$/);
+      if (palettePosition) return paletteColor(Number(palettePosition[1]), vars, palette);
+      return vars[name] ?? fallback ?? match;
+    });
+  } while (result !== previous && ++passes < MAX_VAR_PASSES);
+  return result;
+}
+
+/**
+ * Get the palette color for an element's chart-color-N class
+ * @param {string[]} classes - Element classes
+ * @param {Object} vars - Custom property values (see paletteColor)
+ * @param {string[]} palette - Series colors
+ * @returns {string|undefined} - CSS color
+ */
+function classColor(classes, vars, palette) {
+  const colorClass = classes.find(name => /^chart-color-\d+$/.test(name));
+  return colorClass ? paletteColor(Number(colorClass.slice(12)), vars, palette) : undefined;
+}
+
+/**
+ * Resolve a rendered chart's classes and custom properties into inline style attributes
+ * The result stays legible without uncharted.css, e.g. in RSS readers and syndicated feeds
+ * Legend markers (a ::before in the stylesheet) become spans, and line segments become small SVG lines.
+ * @param {string} html - Chart HTML from a built-in renderer
+ * @returns {string} - Chart HTML with inline styles
+ */
+export function inlineStyles(html) {
+  const globals = { '--chart-bg': 'rgba(128, 128, 128, 0.15)', '--node-width': '20px', '--height-scale': '1' };
+  const chart = { classes: [], level: [], inYAxis: false, vars: {}, palette: themePalette() };
+  let depth = 0;
+  let yAxisDepth = -1;
+
+  return html.replace(/<(\/?)([a-zA-Z][\w-]*)([^>]*?)(\/?)>/g, (tag, closing, name, attrs, selfClosing) => {
+    if (closing) {
+      if (name === 'div' || name === 'span') {
+        depth--;
+        if (depth === yAxisDepth) chart.inYAxis = false;
+      }
+      return tag;
+    }
+    // Leave the Sankey hover rules alone
+    if (name === 'style') return tag;
+    if ((name === 'div' || name === 'span') && !selfClosing) depth++;
+
+    const classMatch = attrs.match(/\sclass="([^"]*)"/);
+    const styleMatch = attrs.match(/\sstyle="([^"]*)"/);
+    const classes = classMatch ? classMatch[1].split(/\s+/) : [];
+    const style = styleMatch ? styleMatch[1] : '';
+
+    let themeColor;
+    if (name === 'figure' && classes.includes('chart')) {
+      const theme = themesFromClasses(classes);
+      chart.classes = classes;
+      chart.vars = customProperties(style);
+      chart.palette = themePalette(theme);
+      themeColor = themeText(theme);
+    }
+    if (classes.includes('chart-sankey-level')) chart.level = classes;
+    if (classes.includes('chart-y-axis')) {
+      chart.inYAxis = true;
+      yAxisDepth = depth - 1;
+    }
+
+    // SVG stops and paths only need their colors resolved
+    const declarations = classes.flatMap(cls => (rules[cls] ? [rules[cls]] : []));
+    declarations.push(...contextRules(classes, chart));
+    if (themeColor) declarations.push(`color: ${themeColor}`);
+    if (name === 'path' && style === '' && attrs.includes('url(#sankey-grad')) declarations.push('opacity: 0.5');
+    if (declarations.length === 0 && !style.includes('var(')) return tag;
+
+    const vars = { ...globals, ...chart.vars, ...customProperties(style) };
+    vars['--sankey-node-width'] ??= vars['--node-width'];
+    const color = classColor(classes, vars, chart.palette);
+    if (color) vars['--color'] = color;
+
+    // Declarations that still refer to an unset property (e.g. --value on negative columns) are dropped
+    const inline = resolveVars([...declarations, style].filter(Boolean).join('; '), vars, chart.palette)
+      .split(';')
+      .map(declaration => declaration.trim())
+      .filter(declaration => declaration && !declaration.includes('var('))
+      .join('; ');
+    const styleAttr = ` style="${inline.replace(/"/g, "'")}"`;
+    const newAttrs = styleMatch ? attrs.replace(styleMatch[0], styleAttr) : attrs + styleAttr;
+    let result = `<${name}${newAttrs}${selfClosing}>`;
+
+    // The stylesheet draws legend markers with ::before, which inline styles can't reach
+    if (classes.includes('chart-legend-item')) {
+      const round = chart.classes.some(cls => ['chart-dot', 'chart-line', 'chart-scatter'].includes(cls));
+      result += `<span style="display: inline-block; width: 0.75rem; height: 0.75rem; margin-right: 0.5rem; vertical-align: -0.05em; border-radius: ${round ? '50%' : '2px'}; background-color: ${color ?? neutral}"></span>`;
+    }
+
+    // Line segments are drawn with hypot() and atan2() on the container size; an SVG line does the same job
+    if (classes.includes('chart-line-segment')) {
+      const [x1, y1, x2, y2] = ['--x1', '--y1', '--x2', '--y2'].map(key => parseFloat(vars[key]) || 0);
+      result += `<svg viewBox="0 0 100 100" preserveAspectRatio="none" width="100%" height="100%" style="display: block; overflow: visible">`;
+      result += `<line x1="${x1}" y1="${100 - y1}" x2="${x2}" y2="${100 - y2}" stroke="${color ?? neutral}" stroke-width="2" vector-effect="non-scaling-stroke"/></svg>`;
+    }
+
+    return result;
+  });
+}
@@ -0,0 +1,240 @@
+import path from 'path';
+import { renderers } from './renderers/index.js';
+import { svgRenderers } from './svg/index.js';
+import { inlineStyles } from './inline-styles.js';
+import { loadData, loadJoinedData, resolveSource } from './data.js';
+import { parseCSV } from './csv.js';
+import { typeColumns, columnUnits, unitFormat } from './coerce.js';
+import { applyTransforms } from './transforms.js';
+import { computeColumns } from './compute.js';
+import { resolveChartConfig } from './config.js';
+import { validateChartConfig, validateChartData, chartSchemas } from './validate.js';
+import { escapeHtml, logWarning, withIdScope } from './utils.js';
+import { pageStylesheetParts, readStylesheet } from './stylesheet.js';
+import { resolveTheme, resolveColors } from './themes.js';
+
+/**
+ * Render a chart config to HTML: resolve defaults and `extends:`, load and reshape
+ * the data, validate, then call the chart type's renderer
+ * Works outside Eleventy; the plugin's shortcodes use it with page context.
+ * @param {Object} config - Chart config (as written in charts.json or frontmatter)
+ * @param {Object} [options] - Render options
+ * @param {string} [options.id] - Chart id (adds a chart-{id} class and names the chart in warnings)
+ * @param {string} [options.dataDir] - Directory that `file:` paths are relative to (default: current directory)
+ * @param {boolean} [options.animate] - Enable animations unless the chart says otherwise (default: false)
+ * @param {boolean|string} [options.downloadData] - Enable download links unless the chart says otherwise (default: false)
+ * @param {string} [options.dataPath] - Public URL path for download links (default: '/data/')
+ * @param {string} [options.locale] - Locale for parsing numbers (default: 'en-US')
+ * @param {string} [options.output] - 'html' or 'svg' unless the chart says otherwise (default: 'html')
+ * @param {boolean} [options.inlineStyles] - Inline the stylesheet's rules into HTML charts unless the chart says otherwise (default: false)
+ * @param {string|string[]} [options.theme] - Theme name or list of names unless the chart says otherwise (see themes)
+ * @param {boolean} [options.tooltips] - Focusable points with styled tooltips unless the chart says otherwise (default: false)
+ * @param {boolean} [options.interactive] - Data attributes for the client script unless the chart says otherwise (default: false)
+ * @param {boolean|string} [options.dataTable] - Data table for screen readers unless the chart says otherwise: true (visually hidden), 'details' (behind a toggle) or false (default: true)
+ * @param {Object} [options.colors] - Site-wide map of series name to palette position or CSS color; the chart's `colors:` entries win
+ * @param {Object} [options.defaults] - Default config per chart type
+ * @param {Object} [options.charts] - Map of chart id to config, for `extends:`
+ * @param {Function} [options.lookup] - (chartId) => config, used for `extends:` instead of `charts`
+ * @param {Object} [options.renderers] - Map of chart type to render function (default: built-in renderers)
+ * @param {Object} [options.svgRenderers] - Map of chart type to SVG render function (default: built-in SVG renderers)
+ * @param {Object} [options.schemas] - Map of chart type to validation schema (default: chartSchemas)
+ * @param {Object} [options.templateData] - Data that `dataSource:` paths are read from
+ * @param {Map} [options.ids] - Element id counters shared by the charts on one page (default: a new Map for each chart)
+ * @param {string} [options.body] - CSV text to use as the chart data (takes precedence over file and data)
+ * @param {boolean} [options.strict] - Throw on problems instead of warning (ignored when `warn` is given)
+ * @param {Function} [options.warn] - Problem handler (default: log, or throw in strict mode)
+ * @param {Function} [options.onFail] - (comment, row) => HTML used when the chart can't be rendered (default: the comment)
+ * @returns {string} - Chart HTML, or the onFail result if the chart can't be rendered
+ */
+export function renderChart(config, options = {}) {
+  const {
+    id,
+    body,
+    templateData = {},
+    dataPath = '/data/',
+    renderers: chartTypes = renderers,
+    svgRenderers: svgTypes = svgRenderers,
+    schemas = chartSchemas,
+    onFail = comment => comment
+  } = options;
+  const dataDir = path.resolve(options.dataDir ?? '.');
+  const name = id != null ? `Chart "${id}"` : 'Inline chart';
+  const lookup = options.lookup ?? (chartId => options.charts?.[chartId]);
+
+  const warn = options.warn ?? (message => {
+    if (options.strict) throw new Error(`[uncharted] ${name}: ${message}`);
+    logWarning(`${name}: ${message}`);
+  });
+
+  // Layer the chart over its `extends:` parents and the defaults for its type
+  const chartConfig = resolveChartConfig(config, { id, lookup, defaults: options.defaults, warn });
+
+  // Validate the config against the chart type's schema
+  validateChartConfig(chartConfig, { types: Object.keys(chartTypes), schemas }).forEach(warn);
+
+  const chartType = chartConfig.type;
+  if (!chartType) {
+    return onFail(`<!-- ${name} has no type specified -->`);
+  }
+
+  const renderer = chartTypes[chartType];
+  if (!renderer) {
+    return onFail(`<!-- Unknown chart type "${chartType}" for ${id != null ? `chart "${id}"` : 'inline chart'} -->`);
+  }
+
+  // `output: "svg"` swaps the CSS-styled HTML for a self-contained SVG (feeds, email, social images)
+  let output = chartConfig.output ?? options.output ?? 'html';
+  if (output !== 'html' && output !== 'svg') {
+    warn(`unknown output "${output}"; expected html or svg`);
+    output = 'html';
+  }
+  let render = renderer;
+  if (output === 'svg') {
+    render = svgTypes[chartType];
+    if (!render) {
+      warn(`${chartType} charts have no SVG renderer; rendering HTML`);
+      render = renderer;
+    }
+  }
+
+  // `dataSource:` reads from the data cascade when the chart has no file or inline data
+  const usesDataSource = body == null && !chartConfig.file && !chartConfig.data && chartConfig.dataSource != null;
+
+  // Load data from file (CSV, TSV, JSON or YAML), the data cascade, or inline data
+  const locale = chartConfig.locale || options.locale || 'en-US';
+  const loadOptions = {
+    format: chartConfig.fileFormat,
+    delimiter: chartConfig.delimiter,
+    comment: chartConfig.comment,
+    columns: chartConfig.columns,
+    locale,
+    warn
+  };
+  let data = chartConfig.data;
+  if (body != null) {
+    // CSV written in the page (paired shortcode or chart fence)
+    const { delimiter = 'auto', comment, columns } = loadOptions;
+    data = parseCSV(body, { delimiter, comment, columns, locale, warn });
+  } else if (Array.isArray(chartConfig.file) && !data) {
+    // A list of files is joined on the label column (or `join:` key)
+    data = loadJoinedData(chartConfig.file, dataDir, { ...loadOptions, join: chartConfig.join });
+  } else if (chartConfig.file && !data) {
+    data = loadData(chartConfig.file, dataDir, loadOptions);
+  } else {
+    if (usesDataSource) {
+      data = resolveSource(chartConfig.dataSource, templateData, { warn });
+    }
+    if (data) {
+      data = typeColumns(data, { columns: chartConfig.columns, locale, warn });
+    }
+  }
+
+  // Without a `format:`, values are shown with the unit their cells were written with (e.g. "45%", "$1,200")
+  const format = chartConfig.format ?? (data ? unitFormat(columnUnits(data)) : undefined);
+
+  // Add derived columns (runs before transforms; use a `compute` step to compute after them)
+  if (data && chartConfig.compute) {
+    data = computeColumns(data, chartConfig.compute, { warn });
+  }
+
+  // Reshape data with the chart's transform pipeline (filter, sort, top, groupBy, pivot...)
+  if (data && chartConfig.transform) {
+    data = applyTransforms(data, chartConfig.transform, { warn });
+  }
+
+  if (!data || data.length === 0) {
+    warn('has no data');
+    return onFail(`<!-- ${name} has no data -->`);
+  }
+
+  // Check that named and positional columns exist in the final data
+  validateChartData(data, chartConfig, { schemas }).forEach(warn);
+
+  // Chart-specific settings override global
+  const animate = chartConfig.animate ?? options.animate ?? false;
+  const downloadData = chartConfig.downloadData ?? options.downloadData ?? false;
+  const theme = resolveTheme(chartConfig.theme ?? options.theme, warn);
+  // A non-object `colors:` was already reported by validateChartConfig
+  const chartColors = typeof chartConfig.colors === 'object' ? chartConfig.colors : {};
+  const colors = resolveColors({ ...options.colors, ...chartColors }, warn);
+  let dataTable = chartConfig.dataTable ?? options.dataTable ?? true;
+  if (typeof dataTable === 'string' && dataTable !== 'details') {
+    warn(`unknown dataTable "${dataTable}"; expected true, false or "details"`);
+    dataTable = true;
+  }
+  const inline = output === 'html' && (chartConfig.inlineStyles ?? options.inlineStyles ?? false);
+  // Tooltips live in pseudo-elements, which inline styles can't carry; keep the title attributes there
+  const tooltips = !inline && (chartConfig.tooltips ?? options.tooltips ?? false);
+  // Inline-styled charts are for feeds, where scripts don't run
+  const interactive = !inline && (chartConfig.interactive ?? options.interactive ?? false);
+
+  // Calculate download URL if download is enabled and a single file is specified
+  let downloadDataUrl = null;
+  if (downloadData && typeof chartConfig.file === 'string' && body == null) {
+    const normalizedDataPath = dataPath.endsWith('/') ? dataPath : dataPath + '/';
+    downloadDataUrl = normalizedDataPath + chartConfig.file;
+  }
+
+  // A renderer error (e.g. a Sankey self-loop) fails this chart, not the whole page
+  let html;
+  try {
+    html = withIdScope(options.ids ?? new Map(), () => render({
+      ...chartConfig,
+      id,
+      data,
+      format,
+      animate,
+      theme,
+      colors,
+      dataTable,
+      tooltips,
+      interactive,
+      downloadData,
+      downloadDataUrl,
+      warn
+    }));
+  } catch (err) {
+    warn(err.message);
+    return onFail(`<!-- ${name} could not be rendered: ${String(err.message).replace(/--/g, '- -')} -->`, err.row);
+  }
+
+  // Renderers return an HTML comment when the data leaves nothing to draw
+  if (html.startsWith('<!--')) {
+    warn(html.replace(/^<!--\s*|\s*-->$/g, ''));
+    return onFail(html);
+  }
+
+  // Inline styles keep HTML charts legible where the stylesheet can't go (feeds, syndication)
+  if (inline) {
+    return inlineStyles(html);
+  }
+
+  return html;
+}
+
+/**
+ * Wrap chart HTML in a standalone page with the stylesheet inlined
+ * @param {string} content - Chart HTML
+ * @param {Object} [options] - Page options
+ * @param {string} [options.title] - Page title (default: 'Chart')
+ * @param {string} [options.css] - Stylesheet text (default: the parts for the chart types in the content)
+ * @returns {string} - Complete HTML document
+ */
+export function renderPage(content, options = {}) {
+  const css = options.css ?? readStylesheet(pageStylesheetParts(content));
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(options.title ?? 'Chart')}</title>
+  <style>
+${css}
+  </style>
+</head>
+<body>
+${content}
+</body>
+</html>
+`;
+}
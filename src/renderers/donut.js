@@ -1,5 +1,7 @@
 import { slugify, escapeHtml, getLabelKey, getValueKey, getSeriesNames, renderDownloadLink } from '../utils.js';
 import { formatNumber } from '../formatters.js';
+import { renderTitle, chartClasses, assignColors } from '../components.js';
+import { renderTextAlternative, recordTable, summarizeDonut } from '../accessibility.js';
 
 /**
  * Render a donut/pie chart using conic-gradient
@@ -8,38 +10,45 @@ import { formatNumber } from '../formatters.js';
  * @param {string} [config.subtitle] - Chart subtitle
  * @param {Object[]} config.data - Chart data (with label and value properties)
  * @param {string[]} [config.legend] - Legend labels (defaults to data labels)
+ * @param {string} [config.label] - Label column name (defaults to first column)
+ * @param {string} [config.value] - Value column name (label/value format; defaults to second column)
+ * @param {string[]} [config.series] - Series column names (series format, first row only)
  * @param {Object} [config.center] - Center content options
  * @param {string|number} [config.center.value] - Value to show in center (use "total" for auto-calculated)
  * @param {string} [config.center.label] - Label below the value
  * @param {boolean} [config.animate] - Enable animations
+ * @param {string[]} [config.theme] - Theme names (adds chart-theme-{name} classes)
+ * @param {Object} [config.colors] - Map of segment label to palette position or CSS color
+ * @param {Function} [config.warn] - Called when the colors outrun an eight-color theme palette
+ * @param {string} [config.description] - Description for screen readers (wired to aria-describedby)
+ * @param {boolean|string} [config.dataTable] - Data table for screen readers: true (visually hidden), 'details' (behind a toggle) or false
  * @param {boolean} [config.showPercentages] - Show percentages instead of values in legend
  * @returns {string} - HTML string
  */
 export function renderDonut(config) {
-  const { title, subtitle, data, legend, center, animate, format, id, showPercentages, downloadData, downloadDataUrl } = config;
+  const { title, subtitle, data, legend, center, animate, theme, colors, description, dataTable, format, id, showPercentages, downloadData, downloadDataUrl, label: labelColumn, value: valueColumn, series, warn } = config;
 
   if (!data || data.length === 0) {
     return `<!-- Donut chart: no data provided -->`;
   }
 
-  const animateClass = animate ? ' chart-animate' : '';
-
-  // Get column keys positionally
-  const labelKey = getLabelKey(data);
-  const valueKey = getValueKey(data);
-  const seriesKeys = getSeriesNames(data);
+  // Get column keys by name, falling back to position
+  const labelKey = getLabelKey(data, labelColumn);
+  const valueKey = valueColumn != null ? getValueKey(data, valueColumn) : getSeriesNames(data, null, labelKey)[0];
+  const seriesKeys = getSeriesNames(data, series, labelKey);
 
   // Extract values - support both label/value format and series format
   let segments = [];
-  if (seriesKeys.length === 1) {
-    // Two columns: first is label, second is value (multiple rows)
-    segments = data.map(item => ({
+  const byRow = valueColumn != null || (series == null && seriesKeys.length === 1);
+  if (byRow) {
+    // Label/value format: one segment per row
+    segments = data.filter(item => item[valueKey] != null).map(item => ({
       label: item[labelKey],
       value: typeof item[valueKey] === 'number' ? item[valueKey] : parseFloat(item[valueKey]) || 0
     }));
   } else {
-    // Series format - first row only, columns after the first are series
-    segments = seriesKeys.map(name => ({
+    // Series format - first row only, series columns become segments
+    segments = seriesKeys.filter(name => data[0][name] != null).map(name => ({
       label: name,
       value: typeof data[0][name] === 'number' ? data[0][name] : parseFloat(data[0][name]) || 0
     }));
@@ -50,32 +59,41 @@ export function renderDonut(config) {
     return `<!-- Donut chart: total is zero -->`;
   }
 
+  const palette = assignColors(segments.map(s => s.label), colors, { theme, warn });
+  const colorStyle = palette.style ? ` style="${escapeHtml(palette.style)}"` : '';
+  const textAlternative = renderTextAlternative({
+    kind: 'Donut chart',
+    id,
+    title,
+    description,
+    summary: summarizeDonut(segments, total, format),
+    table: recordTable(segments, [
+      { name: byRow ? labelKey : 'Series', value: s => s.label },
+      { name: byRow ? valueKey : String(data[0][labelKey] ?? 'Value'), value: s => s.value, format },
+      { name: 'Share', value: s => `${((s.value / total) * 100).toFixed(1)}%` }
+    ]),
+    dataTable
+  });
+
   // Build conic-gradient stops
   let currentAngle = 0;
   const gradientStops = [];
 
-  segments.forEach((segment, i) => {
+  segments.forEach(segment => {
     const percentage = (segment.value / total) * 100;
     const startAngle = currentAngle;
     const endAngle = currentAngle + percentage;
 
     // Use segment-specific variable (defaults set in CSS)
-    gradientStops.push(`var(--donut-${i + 1}) ${startAngle.toFixed(2)}% ${endAngle.toFixed(2)}%`);
+    gradientStops.push(`var(--donut-${palette.position.get(segment.label)}) ${startAngle.toFixed(2)}% ${endAngle.toFixed(2)}%`);
     currentAngle = endAngle;
   });
 
   const gradient = `conic-gradient(${gradientStops.join(', ')})`;
 
-  const idClass = id ? ` chart-${id}` : '';
-  let html = `<figure class="chart chart-donut${animateClass}${idClass}">`;
+  let html = `<figure class="${chartClasses('donut', { id, animate, theme })}"${colorStyle}${textAlternative.attrs}>`;
 
-  if (title) {
-    html += `<figcaption class="chart-title">${escapeHtml(title)}`;
-    if (subtitle) {
-      html += `<span class="chart-subtitle">${escapeHtml(subtitle)}</span>`;
-    }
-    html += `</figcaption>`;
-  }
+  html += renderTitle(title, subtitle);
 
   // Donut body wrapper (for container queries)
   html += `<div class="donut-body">`;
@@ -111,7 +129,7 @@ export function renderDonut(config) {
     } else {
       displayValue = formatNumber(segment.value, format) || segment.value;
     }
-    const colorClass = `chart-color-${i + 1}`;
+    const colorClass = `chart-color-${palette.position.get(segment.label)}`;
     const seriesClass = `chart-series-${slugify(segment.label)}`;
     html += `<li class="chart-legend-item ${colorClass} ${seriesClass}">`;
     html += `<span class="legend-label">${escapeHtml(label)}</span>`;
@@ -122,6 +140,7 @@ export function renderDonut(config) {
 
   html += `</div>`; // Close donut-body
 
+  html += textAlternative.html;
   html += renderDownloadLink(downloadDataUrl, downloadData);
   html += `</figure>`;
 
@@ -1,5 +1,7 @@
 import { slugify, escapeHtml, getLabelKey, getSeriesNames, renderDownloadLink } from '../utils.js';
 import { formatNumber } from '../formatters.js';
+import { renderTitle, renderLegend, renderYAxis, chartClasses, assignColors, pointAttributes } from '../components.js';
+import { renderTextAlternative, seriesTable, summarizeSeries } from '../accessibility.js';
 
 /**
  * Render a categorical dot chart (columns with dots at different Y positions)
@@ -10,32 +12,54 @@ import { formatNumber } from '../formatters.js';
  * @param {Object[]} config.data - Chart data with label column and value columns
  * @param {number} [config.max] - Maximum Y value (defaults to max in data)
  * @param {number} [config.min] - Minimum Y value (defaults to min in data or 0)
+ * @param {string} [config.label] - Label column name (defaults to first column)
+ * @param {string[]} [config.series] - Series column names (defaults to remaining columns)
  * @param {string[]} [config.legend] - Legend labels (defaults to series names)
  * @param {boolean} [config.animate] - Enable animations
+ * @param {string[]} [config.theme] - Theme names (adds chart-theme-{name} classes)
+ * @param {Object} [config.colors] - Map of series name to palette position or CSS color
+ * @param {Function} [config.warn] - Called when the colors outrun an eight-color theme palette
+ * @param {string} [config.description] - Description for screen readers (wired to aria-describedby)
+ * @param {boolean|string} [config.dataTable] - Data table for screen readers: true (visually hidden), 'details' (behind a toggle) or false
+ * @param {boolean} [config.tooltips] - Focusable points with styled tooltips instead of title attributes
+ * @param {boolean} [config.interactive] - Data attributes for the client script (legend toggles, crosshair)
  * @returns {string} - HTML string
  */
 export function renderDot(config) {
-  const { title, subtitle, data, max, min, legend, animate, format, id, rotateLabels, downloadData, downloadDataUrl, connectDots, dots: showDots = true, chartType = 'dot' } = config;
+  const { title, subtitle, data, max, min, legend, animate, theme, colors, description, dataTable, tooltips, interactive, format, id, rotateLabels, downloadData, downloadDataUrl, connectDots, dots: showDots = true, chartType = 'dot', label: labelColumn, series, warn } = config;
 
   if (!data || data.length === 0) {
     return `<!-- Dot chart: no data provided -->`;
   }
 
-  // Get label key (first column) and series keys (remaining columns)
-  const labelKey = getLabelKey(data);
-  const seriesKeys = getSeriesNames(data);
+  // Get label key and series keys (named in config, or first column and remaining columns)
+  const labelKey = getLabelKey(data, labelColumn);
+  const seriesKeys = getSeriesNames(data, series, labelKey);
   const legendLabels = legend ?? seriesKeys;
-  const animateClass = animate ? ' chart-animate' : '';
+  const palette = assignColors(seriesKeys, colors, { theme, warn });
+  const colorStyle = palette.style ? ` style="${escapeHtml(palette.style)}"` : '';
+  const kind = chartType === 'line' ? 'Line chart' : 'Dot chart';
+  const textAlternative = renderTextAlternative({
+    kind,
+    id,
+    title,
+    description,
+    summary: summarizeSeries(kind, data, { labelKey, seriesKeys, labels: legendLabels, format }),
+    table: seriesTable(data, { labelKey, seriesKeys, labels: legendLabels, format }),
+    dataTable
+  });
 
-  // Calculate min and max values for Y scaling
+  // Calculate min and max values for Y scaling (null cells are gaps, not zeros)
   const allValues = data.flatMap(row =>
-    seriesKeys.map(key => {
-      const val = row[key];
-      return typeof val === 'number' ? val : parseFloat(val) || 0;
-    })
+    seriesKeys
+      .filter(key => row[key] != null)
+      .map(key => {
+        const val = row[key];
+        return typeof val === 'number' ? val : parseFloat(val) || 0;
+      })
   );
-  const dataMax = Math.max(...allValues);
-  const dataMin = Math.min(...allValues);
+  const dataMax = allValues.length > 0 ? Math.max(...allValues) : 0;
+  const dataMin = allValues.length > 0 ? Math.min(...allValues) : 0;
   const maxValue = max ?? dataMax;
   const minValue = min ?? (dataMin < 0 ? dataMin : 0);
   const range = maxValue - minValue;
@@ -44,42 +68,22 @@ export function renderDot(config) {
   // Calculate zero position for axis line
   const zeroPct = hasNegativeY ? ((0 - minValue) / range) * 100 : 0;
 
-  const negativeClass = hasNegativeY ? ' has-negative-y' : '';
-  const idClass = id ? ` chart-${id}` : '';
-  const rotateClass = rotateLabels ? ' rotate-labels' : '';
-  const dotsClass = !showDots ? ' no-dots' : '';
-  let html = `<figure class="chart chart-${chartType}${animateClass}${negativeClass}${idClass}${rotateClass}${dotsClass}">`;
-
-  if (title) {
-    html += `<figcaption class="chart-title">${escapeHtml(title)}`;
-    if (subtitle) {
-      html += `<span class="chart-subtitle">${escapeHtml(subtitle)}</span>`;
-    }
-    html += `</figcaption>`;
-  }
+  const classes = chartClasses(chartType, { id, animate, theme, tooltips, interactive }, [hasNegativeY && 'has-negative-y', rotateLabels && 'rotate-labels', !showDots && 'no-dots']);
+  let html = `<figure class="${classes}"${colorStyle}${textAlternative.attrs}>`;
+
+  html += renderTitle(title, subtitle);
 
   // Legend
-  if (seriesKeys.length > 0) {
-    html += `<ul class="chart-legend">`;
-    seriesKeys.forEach((key, i) => {
-      const label = legendLabels[i] ?? key;
-      const colorClass = `chart-color-${i + 1}`;
-      const seriesClass = `chart-series-${slugify(key)}`;
-      html += `<li class="chart-legend-item ${colorClass} ${seriesClass}">${escapeHtml(label)}</li>`;
-    });
-    html += `</ul>`;
-  }
+  html += renderLegend(seriesKeys, legendLabels, palette.position, interactive);
 
   html += `<div class="chart-body">`;
 
   // Y-axis
-  const yAxisStyle = hasNegativeY ? ` style="--zero-position: ${zeroPct.toFixed(2)}%"` : '';
-  html += `<div class="chart-y-axis"${yAxisStyle}>`;
-  html += `<span class="axis-label">${formatNumber(maxValue, format) || maxValue}</span>`;
   const midLabelY = hasNegativeY ? 0 : Math.round((maxValue + minValue) / 2);
-  html += `<span class="axis-label">${formatNumber(midLabelY, format) || midLabelY}</span>`;
-  html += `<span class="axis-label">${formatNumber(minValue, format) || minValue}</span>`;
-  html += `</div>`;
+  html += renderYAxis([maxValue, midLabelY, minValue], {
+    format,
+    style: hasNegativeY ? `--zero-position: ${zeroPct.toFixed(2)}%` : undefined
+  });
 
   // Scroll wrapper for chart + labels
   html += `<div class="chart-scroll">`;
@@ -97,11 +101,12 @@ export function renderDot(config) {
   if (connectDots && data.length > 1) {
     let segIndex = 0;
     seriesKeys.forEach((key, i) => {
-      const colorClass = `chart-color-${i + 1}`;
+      const colorClass = `chart-color-${palette.position.get(key)}`;
       const seriesClass = `chart-series-${slugify(key)}`;
       for (let colIndex = 0; colIndex < data.length - 1; colIndex++) {
         const val1 = data[colIndex][key];
         const val2 = data[colIndex + 1][key];
+        if (val1 == null || val2 == null) continue;
         const v1 = typeof val1 === 'number' ? val1 : parseFloat(val1) || 0;
         const v2 = typeof val2 === 'number' ? val2 : parseFloat(val2) || 0;
         const y1 = range > 0 ? ((v1 - minValue) / range) * 100 : 0;
@@ -117,23 +122,28 @@ export function renderDot(config) {
   }
 
   // Each row becomes a column with dots for each series
-  if (showDots) {
+  // Interactive charts keep the (hidden) dots without `dots: false`, since the crosshair reads their values
+  if (showDots || interactive) {
     data.forEach((row, colIndex) => {
       const label = row[labelKey] ?? '';
+      const colData = interactive ? ` data-label="${escapeHtml(label)}"` : '';
 
-      html += `<div class="dot-col" style="--col-index: ${colIndex}">`;
+      html += `<div class="dot-col" style="--col-index: ${colIndex}"${colData}>`;
 
       seriesKeys.forEach((key, i) => {
         const val = row[key];
+        if (val == null) return;
         const value = typeof val === 'number' ? val : parseFloat(val) || 0;
         const yPct = range > 0 ? ((value - minValue) / range) * 100 : 0;
-        const colorClass = `chart-color-${i + 1}`;
+        const colorClass = `chart-color-${palette.position.get(key)}`;
         const seriesClass = `chart-series-${slugify(key)}`;
         const tooltipLabel = legendLabels[i] ?? key;
+        const formatted = formatNumber(value, format) || value;
 
         html += `<div class="dot ${colorClass} ${seriesClass}" `;
         html += `style="--value: ${yPct.toFixed(2)}%" `;
-        html += `title="${escapeHtml(tooltipLabel)}: ${formatNumber(value, format) || value}"`;
+        if (interactive) html += `data-series="${slugify(key)}" data-value="${escapeHtml(formatted)}" `;
+        html += pointAttributes(`${tooltipLabel}: ${formatted}`, tooltips);
         html += `></div>`;
       });
 
@@ -154,6 +164,7 @@ export function renderDot(config) {
 
   html += `</div>`; // close chart-scroll
   html += `</div>`; // close chart-body
+  html += textAlternative.html;
   html += renderDownloadLink(downloadDataUrl, downloadData);
   html += `</figure>`;
 
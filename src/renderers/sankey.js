@@ -1,34 +1,30 @@
-import { slugify, escapeHtml, renderDownloadLink } from '../utils.js';
+import { slugify, escapeHtml, renderDownloadLink, resolveColumn, uniqueId } from '../utils.js';
 import { formatNumber } from '../formatters.js';
+import { renderTitle, chartClasses, assignColors, pointAttributes } from '../components.js';
+import { renderTextAlternative, recordTable, summarizeSankey } from '../accessibility.js';
 
 /**
- * Render a Sankey diagram
- * @param {Object} config - Chart configuration
- * @param {string} config.title - Chart title
- * @param {string} [config.subtitle] - Chart subtitle
- * @param {Object[]} config.data - Chart data (source, target, value columns)
- * @param {boolean} [config.legend] - Show legend for nodes
- * @param {boolean} [config.animate] - Enable animations
- * @param {number} [config.nodeWidth] - Width of node bars in pixels (default: 20)
- * @param {number} [config.nodePadding] - Vertical gap between nodes in pixels (default: 10)
- * @param {boolean} [config.endLabelsOutside] - Position last level labels outside/right (default: false)
- * @param {boolean} [config.proportional] - Force proportional node heights for data integrity (default: false)
- * @returns {string} - HTML string
+ * Lay out a Sankey diagram: node levels, vertical positions and flow bands
+ * Positions are percentages of the diagram height (0-100); shared by the HTML and SVG renderers
+ * @param {Object[]} data - Chart data (source, target, value columns)
+ * @param {Object} [options] - Layout options
+ * @param {string} [options.source] - Source column name (defaults to first column)
+ * @param {string} [options.target] - Target column name (defaults to second column)
+ * @param {string} [options.value] - Value column name (defaults to third column)
+ * @param {number} [options.nodePadding] - Vertical gap between nodes in pixels (default: 10)
+ * @param {boolean} [options.proportional] - Force proportional node heights (default: false)
+ * @param {Object} [options.colors] - Map of node name to palette position or CSS color (see assignColors)
+ * @param {string[]} [options.theme] - Theme names, to report nodes past the end of an eight-color palette
+ * @param {Function} [options.warn] - Warning handler for those nodes
+ * @returns {Object|null} - { nodes, levels, nodeLevel, nodePosition, nodeThroughput, nodeColors, colorOverrides, colorStyle, edges, flows, heightScale }, or null without valid edges
  */
-export function renderSankey(config) {
-  const { title, subtitle, data, legend, animate, format, id, downloadData, downloadDataUrl, nodeWidth = 20, nodePadding = 10, endLabelsOutside = false, proportional = false } = config;
-
-  if (!data || data.length === 0) {
-    return `<!-- Sankey chart: no data provided -->`;
-  }
-
-  const animateClass = animate ? ' chart-animate' : '';
+export function layoutSankey(data, options = {}) {
+  const { nodePadding = 10, proportional = false, source: sourceColumn, target: targetColumn, value: valueColumn } = options;
 
-  // Get column keys positionally
-  const keys = Object.keys(data[0]);
-  const sourceKey = keys[0];  // First column: source
-  const targetKey = keys[1];  // Second column: target
-  const valueKey = keys[2];   // Third column: value
+  // Get column keys by name, falling back to position
+  const sourceKey = resolveColumn(data, sourceColumn, 0);  // First column: source
+  const targetKey = resolveColumn(data, targetColumn, 1);  // Second column: target
+  const valueKey = resolveColumn(data, valueColumn, 2);    // Third column: value
 
   // Parse edges and build node set
   const edges = [];
@@ -44,7 +40,9 @@ export function renderSankey(config) {
     if (source && target && value > 0) {
       // Check for self-loops
       if (source === target) {
-        throw new Error(`Sankey chart error: Self-loop detected at row ${rowIndex + 2} - "${source}" cannot flow to itself`);
+        const error = new Error(`Sankey chart error: Self-loop detected at row ${rowIndex + 2} - "${source}" cannot flow to itself`);
+        error.row = row;
+        throw error;
       }
       edges.push({ source, target, value });
       nodeSet.add(source);
@@ -55,7 +53,7 @@ export function renderSankey(config) {
   });
 
   if (edges.length === 0) {
-    return `<!-- Sankey chart: no valid edges -->`;
+    return null;
   }
 
   // Aggregate duplicate edges (same source -> target)
@@ -122,28 +120,6 @@ export function renderSankey(config) {
     levels[nodeLevel.get(n)].push(n);
   });
 
-  // Calculate max label width per level (character count × 0.5rem + padding)
-  const maxLabelWidthPerLevel = levels.map(levelNodes => {
-    const maxChars = Math.max(...levelNodes.map(node => node.length));
-    return maxChars * 0.5 + 1; // 0.5rem per char + 1rem padding
-  });
-
-  // Calculate minimum flow column width
-  // For each flow column between levels i and i+1:
-  // - Level i labels extend right into the flow column
-  // - Level i+1 labels extend left into the flow column (only if it's the last level AND !endLabelsOutside)
-  let minFlowWidth = 0;
-  for (let i = 0; i < levelCount - 1; i++) {
-    let width = maxLabelWidthPerLevel[i]; // Labels from level i (pointing right)
-    const isNextLevelLast = (i + 1 === levelCount - 1);
-    if (isNextLevelLast && !endLabelsOutside) {
-      width += maxLabelWidthPerLevel[i + 1]; // Labels from last level pointing left
-    }
-    if (width > minFlowWidth) {
-      minFlowWidth = width;
-    }
-  }
-
   // Calculate node throughput (max of in/out flow) for sizing
   const nodeThroughput = new Map();
   nodes.forEach(n => {
@@ -382,12 +358,89 @@ export function renderSankey(config) {
     enforceMinHeights(nodeFlows, 'toHeight', 'toTop', pos.top, pos.height);
   });
 
-  // Assign colors to nodes
+  // Assign colors to nodes; the palette repeats after 12 nodes, except for nodes given a CSS color
+  const palette = assignColors(nodes, options.colors, { theme: options.theme, warn: options.warn });
   const nodeColors = new Map();
-  nodes.forEach((node, i) => {
-    nodeColors.set(node, (i % 12) + 1);
+  nodes.forEach(node => {
+    const position = palette.position.get(node);
+    nodeColors.set(node, position > 12 && !palette.override.has(position) ? ((position - 1) % 12) + 1 : position);
   });
 
+  return {
+    nodes,
+    levels,
+    nodeLevel,
+    nodePosition,
+    nodeThroughput,
+    nodeColors,
+    colorOverrides: palette.override,
+    colorStyle: palette.style,
+    edges: aggregatedEdges,
+    flows,
+    heightScale
+  };
+}
+
+/**
+ * Render a Sankey diagram
+ * @param {Object} config - Chart configuration
+ * @param {string} config.title - Chart title
+ * @param {string} [config.subtitle] - Chart subtitle
+ * @param {Object[]} config.data - Chart data (source, target, value columns)
+ * @param {string} [config.source] - Source column name (defaults to first column)
+ * @param {string} [config.target] - Target column name (defaults to second column)
+ * @param {string} [config.value] - Value column name (defaults to third column)
+ * @param {boolean} [config.legend] - Show legend for nodes
+ * @param {boolean} [config.animate] - Enable animations
+ * @param {string[]} [config.theme] - Theme names (adds chart-theme-{name} classes)
+ * @param {Object} [config.colors] - Map of node name to palette position or CSS color
+ * @param {Function} [config.warn] - Called when the colors outrun an eight-color theme palette
+ * @param {string} [config.description] - Description for screen readers (wired to aria-describedby)
+ * @param {boolean|string} [config.dataTable] - Data table for screen readers: true (visually hidden), 'details' (behind a toggle) or false
+ * @param {boolean} [config.tooltips] - Focusable points with styled tooltips instead of title attributes
+ * @param {boolean} [config.interactive] - Data attributes for the client script (full upstream/downstream path highlight)
+ * @param {number} [config.nodeWidth] - Width of node bars in pixels (default: 20)
+ * @param {number} [config.nodePadding] - Vertical gap between nodes in pixels (default: 10)
+ * @param {boolean} [config.endLabelsOutside] - Position last level labels outside/right (default: false)
+ * @param {boolean} [config.proportional] - Force proportional node heights for data integrity (default: false)
+ * @returns {string} - HTML string
+ */
+export function renderSankey(config) {
+  const { title, subtitle, data, legend, animate, theme, colors, description, dataTable, tooltips, interactive, format, id, downloadData, downloadDataUrl, warn, nodeWidth = 20, nodePadding = 10, endLabelsOutside = false, proportional = false, source, target, value } = config;
+
+  if (!data || data.length === 0) {
+    return `<!-- Sankey chart: no data provided -->`;
+  }
+
+  const layout = layoutSankey(data, { source, target, value, nodePadding, proportional, colors, theme, warn });
+  if (!layout) {
+    return `<!-- Sankey chart: no valid edges -->`;
+  }
+  const { nodes, levels, nodePosition, nodeThroughput, nodeColors, colorStyle, edges: aggregatedEdges, flows, heightScale } = layout;
+  const levelCount = levels.length;
+
+  // Calculate max label width per level (character count × 0.5rem + padding)
+  const maxLabelWidthPerLevel = levels.map(levelNodes => {
+    const maxChars = Math.max(...levelNodes.map(node => node.length));
+    return maxChars * 0.5 + 1; // 0.5rem per char + 1rem padding
+  });
+
+  // Calculate minimum flow column width
+  // For each flow column between levels i and i+1:
+  // - Level i labels extend right into the flow column
+  // - Level i+1 labels extend left into the flow column (only if it's the last level AND !endLabelsOutside)
+  let minFlowWidth = 0;
+  for (let i = 0; i < levelCount - 1; i++) {
+    let width = maxLabelWidthPerLevel[i]; // Labels from level i (pointing right)
+    const isNextLevelLast = (i + 1 === levelCount - 1);
+    if (isNextLevelLast && !endLabelsOutside) {
+      width += maxLabelWidthPerLevel[i + 1]; // Labels from last level pointing left
+    }
+    if (width > minFlowWidth) {
+      minFlowWidth = width;
+    }
+  }
+
   // Build HTML
   // Generate grid columns: alternating node-width and minmax(min-flow-width, 1fr)
   // For n levels: node-width (minmax node-width) * (n-1)
@@ -403,17 +456,24 @@ export function renderSankey(config) {
     endLabelWidthStyle = ` --end-label-width: ${labelWidth.toFixed(1)}rem;`;
   }
 
-  const idClass = id ? ` chart-${id}` : '';
-  const endLabelsOutsideClass = endLabelsOutside ? ' chart-sankey-end-labels-outside' : '';
-  let html = `<figure class="chart chart-sankey${animateClass}${idClass}${endLabelsOutsideClass}" style="--node-width: ${nodeWidth}px; --level-count: ${levelCount}; --grid-columns: ${gridColumns}; --min-flow-width: ${minFlowWidth.toFixed(1)}rem; --height-scale: ${heightScale.toFixed(2)};${endLabelWidthStyle}">`;
+  const colorOverrideStyle = colorStyle ? ` ${escapeHtml(colorStyle)}` : '';
+  const textAlternative = renderTextAlternative({
+    kind: 'Sankey diagram',
+    id,
+    title,
+    description,
+    summary: summarizeSankey(aggregatedEdges, { nodeCount: nodes.length, levelCount, format }),
+    table: recordTable(aggregatedEdges, [
+      { name: 'Source', value: edge => edge.source },
+      { name: 'Target', value: edge => edge.target },
+      { name: 'Value', value: edge => edge.value, format }
+    ]),
+    dataTable
+  });
+  const classes = chartClasses('sankey', { id, animate, theme, tooltips, interactive }, [endLabelsOutside && 'chart-sankey-end-labels-outside']);
+  let html = `<figure class="${classes}" style="--node-width: ${nodeWidth}px; --level-count: ${levelCount}; --grid-columns: ${gridColumns}; --min-flow-width: ${minFlowWidth.toFixed(1)}rem; --height-scale: ${heightScale.toFixed(2)};${endLabelWidthStyle}${colorOverrideStyle}"${textAlternative.attrs}>`;
 
-  if (title) {
-    html += `<figcaption class="chart-title">${escapeHtml(title)}`;
-    if (subtitle) {
-      html += `<span class="chart-subtitle">${escapeHtml(subtitle)}</span>`;
-    }
-    html += `</figcaption>`;
-  }
+  html += renderTitle(title, subtitle);
 
   // Legend (optional)
   if (legend) {
@@ -440,10 +500,12 @@ export function renderSankey(config) {
   });
 
   // Generate per-node hover rules: brighten connected flows and nodes, dim the rest
+  // With tooltips, keyboard focus on a node highlights the same way
+  const active = tooltips ? ':is(:hover, :focus-visible)' : ':hover';
   html += `<style>`;
   nodes.forEach(node => {
     const slug = slugify(node);
-    const prefix = `.chart-sankey-container:has(.chart-series-${slug}:hover)`;
+    const prefix = `.chart-sankey-container:has(.chart-series-${slug}${active})`;
     // Brighten connected flows
     html += `${prefix} .chart-flow-${slug} path{opacity:0.8}`;
     // Brighten hovered node + its neighbors
@@ -458,6 +520,8 @@ export function renderSankey(config) {
 
   // Flows (rendered as SVG paths with bezier curves)
   const delayStep = flows.length > 1 ? Math.min(0.1, 1 / (flows.length - 1)) : 0;
+  // url(#id) picks the first match in the document, so every render needs its own gradient ids
+  const gradientId = uniqueId(`sankey-grad-${id || 'default'}`);
   flows.forEach((flow, i) => {
     const sourceColor = nodeColors.get(flow.source);
     const targetColor = nodeColors.get(flow.target);
@@ -487,13 +551,22 @@ export function renderSankey(config) {
     const sourceSlug = slugify(flow.source);
     const targetSlug = slugify(flow.target);
     html += `<svg class="chart-sankey-flow chart-flow-${sourceSlug} chart-flow-${targetSlug}" viewBox="0 0 100 100" preserveAspectRatio="none" `;
+    // Flow direction for the client script's path highlight
+    if (interactive) html += `data-source="${sourceSlug}" data-target="${targetSlug}" `;
     html += `style="grid-column: ${colStart} / ${colEnd}; --from-level: ${flow.fromLevel}; --flow-index: ${i}; --delay-step: ${delayStep.toFixed(3)}s">`;
-    html += `<defs><linearGradient id="sankey-grad-${id || 'default'}-${i}">`;
+    html += `<defs><linearGradient id="${gradientId}-${i}">`;
     html += `<stop offset="0%" style="stop-color: var(--chart-color-${sourceColor})" />`;
     html += `<stop offset="100%" style="stop-color: var(--chart-color-${targetColor})" />`;
     html += `</linearGradient></defs>`;
-    html += `<path d="${pathD}" fill="url(#sankey-grad-${id || 'default'}-${i})"><title>${escapeHtml(tooltipText)}</title></path>`;
+    // SVG can't draw the styled tooltip, so with tooltips a focusable point at the flow's middle carries it
+    html += tooltips
+      ? `<path d="${pathD}" fill="url(#${gradientId}-${i})"></path>`
+      : `<path d="${pathD}" fill="url(#${gradientId}-${i})"><title>${escapeHtml(tooltipText)}</title></path>`;
     html += `</svg>`;
+    if (tooltips) {
+      const middle = (y1 + y2) / 2 + (fh + th) / 4;
+      html += `<span class="chart-sankey-flow-point" style="grid-column: ${colStart} / ${colEnd}; --top: ${middle.toFixed(2)}%" ${pointAttributes(tooltipText, true)}></span>`;
+    }
   });
 
   // Nodes grouped by level
@@ -513,7 +586,8 @@ export function renderSankey(config) {
 
       html += `<div class="chart-sankey-node ${colorClass} ${seriesClass}" `;
       html += `style="--top: ${pos.top.toFixed(2)}%; --height: ${pos.height.toFixed(2)}%" `;
-      html += `title="${escapeHtml(tooltipText)}">`;
+      if (interactive) html += `data-node="${slugify(node)}" `;
+      html += `${pointAttributes(tooltipText, tooltips)}>`;
       html += `<span class="chart-sankey-node-label">${escapeHtml(node)}</span>`;
       html += `</div>`;
     });
@@ -521,6 +595,7 @@ export function renderSankey(config) {
   });
 
   html += `</div>`;
+  html += textAlternative.html;
   html += renderDownloadLink(downloadDataUrl, downloadData);
   html += `</figure>`;
 
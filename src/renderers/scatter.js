@@ -1,5 +1,7 @@
-import { slugify, escapeHtml, renderDownloadLink } from '../utils.js';
+import { slugify, escapeHtml, renderDownloadLink, resolveColumn } from '../utils.js';
 import { formatNumber } from '../formatters.js';
+import { renderTitle, renderLegend, renderYAxis, chartClasses, assignColors, pointAttributes } from '../components.js';
+import { renderTextAlternative, recordTable, summarizeScatter } from '../accessibility.js';
 
 /**
  * Render a scatter plot (continuous X and Y axes)
@@ -7,18 +9,29 @@ import { formatNumber } from '../formatters.js';
  * @param {string} config.title - Chart title
  * @param {string} [config.subtitle] - Chart subtitle
  * @param {Object[]} config.data - Chart data (positional: label, x, y, series)
+ * @param {string} [config.label] - Point label column name (defaults to first column)
+ * @param {string} [config.x] - X value column name (defaults to second column)
+ * @param {string} [config.y] - Y value column name (defaults to third column)
+ * @param {string} [config.series] - Series column name (defaults to fourth column, if any)
  * @param {number} [config.maxX] - Maximum X value (defaults to max in data)
  * @param {number} [config.maxY] - Maximum Y value (defaults to max in data)
  * @param {number} [config.minX] - Minimum X value (defaults to min in data or 0)
  * @param {number} [config.minY] - Minimum Y value (defaults to min in data or 0)
  * @param {string[]} [config.legend] - Legend labels for series
  * @param {boolean} [config.animate] - Enable animations
+ * @param {string[]} [config.theme] - Theme names (adds chart-theme-{name} classes)
+ * @param {Object} [config.colors] - Map of series name to palette position or CSS color
+ * @param {Function} [config.warn] - Called when the colors outrun an eight-color theme palette
+ * @param {string} [config.description] - Description for screen readers (wired to aria-describedby)
+ * @param {boolean|string} [config.dataTable] - Data table for screen readers: true (visually hidden), 'details' (behind a toggle) or false
+ * @param {boolean} [config.tooltips] - Focusable points with styled tooltips instead of title attributes
+ * @param {boolean} [config.interactive] - Data attributes for the client script (legend toggles)
  * @param {string} [config.titleX] - X-axis title (defaults to column name)
  * @param {string} [config.titleY] - Y-axis title (defaults to column name)
  * @returns {string} - HTML string
  */
 export function renderScatter(config) {
-  const { title, subtitle, data, maxX, maxY, minX, minY, legend, animate, format, titleX, titleY, id, downloadData, downloadDataUrl } = config;
+  const { title, subtitle, data, maxX, maxY, minX, minY, legend, animate, theme, colors, description, dataTable, tooltips, interactive, format, titleX, titleY, id, downloadData, downloadDataUrl, label: labelColumn, x: xColumn, y: yColumn, series: seriesColumn, warn } = config;
 
   // Handle nested X/Y format for scatter charts
   const fmtX = format?.x || format || {};
@@ -28,27 +41,31 @@ export function renderScatter(config) {
     return `<!-- Scatter chart: no data provided -->`;
   }
 
-  const animateClass = animate ? ' chart-animate' : '';
-
-  // Get column keys positionally
-  const keys = Object.keys(data[0]);
-  const labelKey = keys[0];           // First column: point labels
-  const xKey = keys[1];               // Second column: X values
-  const yKey = keys[2];               // Third column: Y values
-  const seriesKey = keys[3];          // Fourth column (optional): series
+  // Get column keys by name, falling back to position
+  const labelKey = resolveColumn(data, labelColumn, 0);   // First column: point labels
+  const xKey = resolveColumn(data, xColumn, 1);           // Second column: X values
+  const yKey = resolveColumn(data, yColumn, 2);           // Third column: Y values
+  // Fourth column (optional): series; only taken positionally when X/Y are positional too
+  const seriesKey = seriesColumn != null || (xColumn == null && yColumn == null)
+    ? resolveColumn(data, seriesColumn, 3)
+    : undefined;
 
   // Axis titles: explicit config overrides column names
   const xAxisTitle = titleX ?? xKey;
   const yAxisTitle = titleY ?? yKey;
 
-  // Map data to dots using positional columns
-  const dots = data.map(item => ({
+  // Map data to dots using the resolved columns (rows missing X or Y are skipped)
+  const dots = data.filter(item => item[xKey] != null && item[yKey] != null).map(item => ({
     label: item[labelKey] ?? '',
     x: typeof item[xKey] === 'number' ? item[xKey] : parseFloat(item[xKey]) || 0,
     y: typeof item[yKey] === 'number' ? item[yKey] : parseFloat(item[yKey]) || 0,
     series: seriesKey ? (item[seriesKey] ?? 'default') : 'default'
   }));
 
+  if (dots.length === 0) {
+    return `<!-- Scatter chart: no plottable points -->`;
+  }
+
   // Calculate bounds
   const xValues = dots.map(d => d.x);
   const yValues = dots.map(d => d.y);
@@ -74,44 +91,49 @@ export function renderScatter(config) {
   // Get unique series
   const seriesSet = new Set(dots.map(d => d.series));
   const seriesList = Array.from(seriesSet);
-  const seriesIndex = new Map(seriesList.map((s, i) => [s, i]));
-
-  const negativeClasses = (hasNegativeX ? ' has-negative-x' : '') + (hasNegativeY ? ' has-negative-y' : '');
-  const idClass = id ? ` chart-${id}` : '';
-  let html = `<figure class="chart chart-scatter${animateClass}${negativeClasses}${idClass}">`;
-
-  if (title) {
-    html += `<figcaption class="chart-title">${escapeHtml(title)}`;
-    if (subtitle) {
-      html += `<span class="chart-subtitle">${escapeHtml(subtitle)}</span>`;
-    }
-    html += `</figcaption>`;
-  }
+  const palette = assignColors(seriesList, colors, { theme, warn });
+  const colorStyle = palette.style ? ` style="${escapeHtml(palette.style)}"` : '';
+  const seriesLabels = Array.isArray(legend) ? legend : seriesList;
+  const textAlternative = renderTextAlternative({
+    kind: 'Scatter plot',
+    id,
+    title,
+    description,
+    summary: summarizeScatter(dots, {
+      xKey: xAxisTitle,
+      yKey: yAxisTitle,
+      series: seriesList.map((name, i) => String(seriesLabels[i] ?? name)),
+      formatX: fmtX,
+      formatY: fmtY
+    }),
+    table: recordTable(dots, [
+      { name: labelKey, value: dot => dot.label },
+      { name: xKey, value: dot => dot.x, format: fmtX },
+      { name: yKey, value: dot => dot.y, format: fmtY },
+      ...(seriesKey ? [{ name: seriesKey, value: dot => dot.series }] : [])
+    ]),
+    dataTable
+  });
+
+  const classes = chartClasses('scatter', { id, animate, theme, tooltips, interactive }, [hasNegativeX && 'has-negative-x', hasNegativeY && 'has-negative-y']);
+  let html = `<figure class="${classes}"${colorStyle}${textAlternative.attrs}>`;
+
+  html += renderTitle(title, subtitle);
 
   // Legend (if multiple series)
   if (seriesList.length > 1 || legend) {
-    const legendLabels = legend ?? seriesList;
-    html += `<ul class="chart-legend">`;
-    seriesList.forEach((series, i) => {
-      const label = legendLabels[i] ?? series;
-      const colorClass = `chart-color-${i + 1}`;
-      const seriesClass = `chart-series-${slugify(series)}`;
-      html += `<li class="chart-legend-item ${colorClass} ${seriesClass}">${escapeHtml(label)}</li>`;
-    });
-    html += `</ul>`;
+    html += renderLegend(seriesList, seriesLabels, palette.position, interactive);
   }
 
   html += `<div class="chart-body">`;
 
   // Y-axis
-  const yAxisStyle = hasNegativeY ? ` style="--zero-position-y: ${zeroPctY.toFixed(2)}%"` : '';
-  html += `<div class="chart-y-axis"${yAxisStyle}>`;
-  html += `<span class="axis-label">${formatNumber(calcMaxY, fmtY) || calcMaxY}</span>`;
   const midLabelY = hasNegativeY ? 0 : Math.round((calcMaxY + calcMinY) / 2);
-  html += `<span class="axis-label">${formatNumber(midLabelY, fmtY) || midLabelY}</span>`;
-  html += `<span class="axis-label">${formatNumber(calcMinY, fmtY) || calcMinY}</span>`;
-  html += `<span class="axis-title">${escapeHtml(yAxisTitle)}</span>`;
-  html += `</div>`;
+  html += renderYAxis([calcMaxY, midLabelY, calcMinY], {
+    format: fmtY,
+    style: hasNegativeY ? `--zero-position-y: ${zeroPctY.toFixed(2)}%` : undefined,
+    title: yAxisTitle
+  });
 
   // Container gets zero position variables for axis line CSS
   const containerStyles = [];
@@ -125,7 +147,7 @@ export function renderScatter(config) {
   dots.forEach((dot, i) => {
     const xPct = rangeX > 0 ? ((dot.x - calcMinX) / rangeX) * 100 : 0;
     const yPct = rangeY > 0 ? ((dot.y - calcMinY) / rangeY) * 100 : 0;
-    const colorIndex = seriesIndex.get(dot.series) + 1;
+    const colorIndex = palette.position.get(dot.series);
     const colorClass = `chart-color-${colorIndex}`;
     const seriesClass = `chart-series-${slugify(dot.series)}`;
     const fmtXVal = formatNumber(dot.x, fmtX) || dot.x;
@@ -134,7 +156,7 @@ export function renderScatter(config) {
 
     html += `<div class="dot ${colorClass} ${seriesClass}" `;
     html += `style="--dot-index: ${i}; --x: ${xPct.toFixed(2)}%; --value: ${yPct.toFixed(2)}%" `;
-    html += `title="${escapeHtml(tooltipText)}"`;
+    html += pointAttributes(tooltipText, tooltips);
     html += `></div>`;
   });
 
@@ -153,6 +175,7 @@ export function renderScatter(config) {
 
   html += `</div>`;
   html += `</div>`;
+  html += textAlternative.html;
   html += renderDownloadLink(downloadDataUrl, downloadData);
   html += `</figure>`;
 
@@ -1,5 +1,7 @@
 import { slugify, calculatePercentages, getLabelKey, getSeriesNames, escapeHtml, renderDownloadLink } from '../utils.js';
 import { formatNumber } from '../formatters.js';
+import { renderTitle, renderLegend, chartClasses, assignColors, pointAttributes } from '../components.js';
+import { renderTextAlternative, seriesTable, summarizeSeries } from '../accessibility.js';
 
 /**
  * Render a stacked bar chart (horizontal)
@@ -8,23 +10,43 @@ import { formatNumber } from '../formatters.js';
  * @param {string} [config.subtitle] - Chart subtitle
  * @param {Object[]} config.data - Chart data
  * @param {number} [config.max] - Maximum value for percentage calculation
+ * @param {string} [config.label] - Label column name (defaults to first column)
+ * @param {string[]} [config.series] - Series column names (defaults to remaining columns)
  * @param {string[]} [config.legend] - Legend labels (defaults to series names)
  * @param {boolean} [config.animate] - Enable animations
+ * @param {string[]} [config.theme] - Theme names (adds chart-theme-{name} classes)
+ * @param {Object} [config.colors] - Map of series name to palette position or CSS color
+ * @param {Function} [config.warn] - Called when the colors outrun an eight-color theme palette
+ * @param {string} [config.description] - Description for screen readers (wired to aria-describedby)
+ * @param {boolean|string} [config.dataTable] - Data table for screen readers: true (visually hidden), 'details' (behind a toggle) or false
+ * @param {boolean} [config.tooltips] - Focusable points with styled tooltips instead of title attributes
+ * @param {boolean} [config.interactive] - Data attributes for the client script (legend toggles)
  * @returns {string} - HTML string
  */
 export function renderStackedBar(config) {
-  const { title, subtitle, data, max, legend, animate, format, id, downloadData, downloadDataUrl } = config;
+  const { title, subtitle, data, max, legend, animate, theme, colors, description, dataTable, tooltips, interactive, format, id, downloadData, downloadDataUrl, label: labelColumn, series, warn } = config;
 
   if (!data || data.length === 0) {
     return `<!-- Stacked bar chart: no data provided -->`;
   }
 
-  // Get label key (first column) and series keys (remaining columns)
-  const labelKey = getLabelKey(data);
-  const seriesKeys = getSeriesNames(data);
+  // Get label key and series keys (named in config, or first column and remaining columns)
+  const labelKey = getLabelKey(data, labelColumn);
+  const seriesKeys = getSeriesNames(data, series, labelKey);
   // Use legend for display labels, fall back to data keys
   const legendLabels = legend ?? seriesKeys;
-  const animateClass = animate ? ' chart-animate' : '';
+  const palette = assignColors(seriesKeys, colors, { theme, warn });
+  const colorStyle = palette.style ? ` style="${escapeHtml(palette.style)}"` : '';
+  const kind = 'Stacked bar chart';
+  const textAlternative = renderTextAlternative({
+    kind,
+    id,
+    title,
+    description,
+    summary: summarizeSeries(kind, data, { labelKey, seriesKeys, labels: legendLabels, format, stacked: true }),
+    table: seriesTable(data, { labelKey, seriesKeys, labels: legendLabels, format }),
+    dataTable
+  });
 
   // Calculate max total across all rows if not provided
   const calculatedMax = max ?? Math.max(...data.map(row => {
@@ -34,28 +56,12 @@ export function renderStackedBar(config) {
     }, 0);
   }));
 
-  const idClass = id ? ` chart-${id}` : '';
-  let html = `<figure class="chart chart-stacked-bar${animateClass}${idClass}">`;
+  let html = `<figure class="${chartClasses('stacked-bar', { id, animate, theme, tooltips, interactive })}"${colorStyle}${textAlternative.attrs}>`;
 
-  if (title) {
-    html += `<figcaption class="chart-title">${escapeHtml(title)}`;
-    if (subtitle) {
-      html += `<span class="chart-subtitle">${escapeHtml(subtitle)}</span>`;
-    }
-    html += `</figcaption>`;
-  }
+  html += renderTitle(title, subtitle);
 
   // Legend
-  if (seriesKeys.length > 0) {
-    html += `<ul class="chart-legend">`;
-    seriesKeys.forEach((key, i) => {
-      const label = legendLabels[i] ?? key;
-      const colorClass = `chart-color-${i + 1}`;
-      const seriesClass = `chart-series-${slugify(key)}`;
-      html += `<li class="chart-legend-item ${colorClass} ${seriesClass}">${escapeHtml(label)}</li>`;
-    });
-    html += `</ul>`;
-  }
+  html += renderLegend(seriesKeys, legendLabels, palette.position, interactive);
 
   // Calculate delay step to cap total stagger at 1s
   const maxStagger = 1; // seconds
@@ -76,16 +82,17 @@ export function renderStackedBar(config) {
     html += `<div class="bar-row" style="--row-index: ${rowIndex}">`;
     html += `<span class="bar-label">${escapeHtml(label)}</span>`;
     html += `<div class="bar-track">`;
-    html += `<div class="bar-fills" title="${escapeHtml(label)}: ${formatNumber(total, format) || total}">`;
+    // With tooltips, the row total stays in the visible bar value rather than a tooltip on the whole row
+    html += tooltips ? `<div class="bar-fills">` : `<div class="bar-fills" title="${escapeHtml(label)}: ${formatNumber(total, format) || total}">`;
 
     seriesKeys.forEach((key, i) => {
       const pct = percentages[i];
       const value = values[i];
       if (pct > 0) {
-        const colorClass = `chart-color-${i + 1}`;
+        const colorClass = `chart-color-${palette.position.get(key)}`;
         const seriesClass = `chart-series-${slugify(key)}`;
         const seriesLabel = seriesLabels[i] ?? key;
-        html += `<div class="bar-fill ${colorClass} ${seriesClass}" style="--value: ${pct.toFixed(2)}%" title="${escapeHtml(seriesLabel)}: ${formatNumber(value, format) || value}"></div>`;
+        html += `<div class="bar-fill ${colorClass} ${seriesClass}" style="--value: ${pct.toFixed(2)}%" ${pointAttributes(`${seriesLabel}: ${formatNumber(value, format) || value}`, tooltips)}></div>`;
       }
     });
 
@@ -98,6 +105,7 @@ export function renderStackedBar(config) {
   });
 
   html += `</div>`;
+  html += textAlternative.html;
   html += renderDownloadLink(downloadDataUrl, downloadData);
   html += `</figure>`;
 
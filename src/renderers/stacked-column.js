@@ -1,5 +1,7 @@
 import { slugify, getLabelKey, getSeriesNames, escapeHtml, renderDownloadLink } from '../utils.js';
 import { formatNumber } from '../formatters.js';
+import { renderTitle, renderLegend, renderYAxis, chartClasses, assignColors, pointAttributes } from '../components.js';
+import { renderTextAlternative, seriesTable, summarizeSeries } from '../accessibility.js';
 
 /**
  * Render a stacked column chart (vertical)
@@ -9,23 +11,43 @@ import { formatNumber } from '../formatters.js';
  * @param {Object[]} config.data - Chart data
  * @param {number} [config.max] - Maximum value for Y-axis scaling
  * @param {number} [config.min] - Minimum value for Y-axis scaling (for negative values)
+ * @param {string} [config.label] - Label column name (defaults to first column)
+ * @param {string[]} [config.series] - Series column names (defaults to remaining columns)
  * @param {string[]} [config.legend] - Legend labels (defaults to series names)
  * @param {boolean} [config.animate] - Enable animations
+ * @param {string[]} [config.theme] - Theme names (adds chart-theme-{name} classes)
+ * @param {Object} [config.colors] - Map of series name to palette position or CSS color
+ * @param {Function} [config.warn] - Called when the colors outrun an eight-color theme palette
+ * @param {string} [config.description] - Description for screen readers (wired to aria-describedby)
+ * @param {boolean|string} [config.dataTable] - Data table for screen readers: true (visually hidden), 'details' (behind a toggle) or false
+ * @param {boolean} [config.tooltips] - Focusable points with styled tooltips instead of title attributes
+ * @param {boolean} [config.interactive] - Data attributes for the client script (legend toggles)
  * @returns {string} - HTML string
  */
 export function renderStackedColumn(config) {
-  const { title, subtitle, data, max, min, legend, animate, format, id, rotateLabels, downloadData, downloadDataUrl } = config;
+  const { title, subtitle, data, max, min, legend, animate, theme, colors, description, dataTable, tooltips, interactive, format, id, rotateLabels, downloadData, downloadDataUrl, label: labelColumn, series, warn } = config;
 
   if (!data || data.length === 0) {
     return `<!-- Stacked column chart: no data provided -->`;
   }
 
-  // Get label key (first column) and series keys (remaining columns)
-  const labelKey = getLabelKey(data);
-  const seriesKeys = getSeriesNames(data);
+  // Get label key and series keys (named in config, or first column and remaining columns)
+  const labelKey = getLabelKey(data, labelColumn);
+  const seriesKeys = getSeriesNames(data, series, labelKey);
   // Use legend for display labels, fall back to data keys
   const legendLabels = legend ?? seriesKeys;
-  const animateClass = animate ? ' chart-animate' : '';
+  const palette = assignColors(seriesKeys, colors, { theme, warn });
+  const colorStyle = palette.style ? ` style="${escapeHtml(palette.style)}"` : '';
+  const kind = 'Stacked column chart';
+  const textAlternative = renderTextAlternative({
+    kind,
+    id,
+    title,
+    description,
+    summary: summarizeSeries(kind, data, { labelKey, seriesKeys, labels: legendLabels, format, stacked: true }),
+    table: seriesTable(data, { labelKey, seriesKeys, labels: legendLabels, format }),
+    dataTable
+  });
 
   // Calculate stacked totals for positive and negative values separately
   // Positives stack up from zero, negatives stack down from zero
@@ -54,42 +76,23 @@ export function renderStackedColumn(config) {
   const range = maxValue - minValue;
   const zeroPct = hasNegativeY ? ((0 - minValue) / range) * 100 : 0;
 
-  const negativeClass = hasNegativeY ? ' has-negative-y' : '';
-  const idClass = id ? ` chart-${id}` : '';
-  const rotateClass = rotateLabels ? ' rotate-labels' : '';
-  let html = `<figure class="chart chart-stacked-column${animateClass}${negativeClass}${idClass}${rotateClass}">`;
+  const classes = chartClasses('stacked-column', { id, animate, theme, tooltips, interactive }, [hasNegativeY && 'has-negative-y', rotateLabels && 'rotate-labels']);
+  let html = `<figure class="${classes}"${colorStyle}${textAlternative.attrs}>`;
 
-  if (title) {
-    html += `<figcaption class="chart-title">${escapeHtml(title)}`;
-    if (subtitle) {
-      html += `<span class="chart-subtitle">${escapeHtml(subtitle)}</span>`;
-    }
-    html += `</figcaption>`;
-  }
+  html += renderTitle(title, subtitle);
 
   // Legend
-  if (seriesKeys.length > 0) {
-    html += `<ul class="chart-legend">`;
-    seriesKeys.forEach((key, i) => {
-      const label = legendLabels[i] ?? key;
-      const colorClass = `chart-color-${i + 1}`;
-      const seriesClass = `chart-series-${slugify(key)}`;
-      html += `<li class="chart-legend-item ${colorClass} ${seriesClass}">${escapeHtml(label)}</li>`;
-    });
-    html += `</ul>`;
-  }
+  html += renderLegend(seriesKeys, legendLabels, palette.position, interactive);
 
   html += `<div class="chart-body">`;
 
   // Y-axis with --zero-position for label positioning
-  const yAxisStyle = hasNegativeY ? ` style="--zero-position: ${zeroPct.toFixed(2)}%"` : '';
-  html += `<div class="chart-y-axis"${yAxisStyle}>`;
-  html += `<span class="axis-label">${formatNumber(maxValue, format) || maxValue}</span>`;
   const midLabelY = hasNegativeY ? 0 : Math.round(maxValue / 2);
-  html += `<span class="axis-label">${formatNumber(midLabelY, format) || midLabelY}</span>`;
   const minLabelY = hasNegativeY ? minValue : 0;
-  html += `<span class="axis-label">${formatNumber(minLabelY, format) || minLabelY}</span>`;
-  html += `</div>`;
+  html += renderYAxis([maxValue, midLabelY, minLabelY], {
+    format,
+    style: hasNegativeY ? `--zero-position: ${zeroPct.toFixed(2)}%` : undefined
+  });
 
   // Scroll wrapper for columns + labels
   html += `<div class="chart-scroll">`;
@@ -104,7 +107,8 @@ export function renderStackedColumn(config) {
 
   data.forEach((row, colIndex) => {
     const label = row[labelKey] ?? '';
-    html += `<div class="column-track" style="--col-index: ${colIndex}" title="${escapeHtml(label)}">`;
+    const trackTitle = tooltips ? '' : ` title="${escapeHtml(label)}"`;
+    html += `<div class="column-track" style="--col-index: ${colIndex}"${trackTitle}>`;
 
     if (hasNegativeY) {
       // Build segments first to identify stack ends
@@ -117,7 +121,7 @@ export function renderStackedColumn(config) {
       seriesKeys.forEach((key, i) => {
         const val = row[key];
         const value = typeof val === 'number' ? val : parseFloat(val) || 0;
-        const colorClass = `chart-color-${i + 1}`;
+        const colorClass = `chart-color-${palette.position.get(key)}`;
         const seriesClass = `chart-series-${slugify(key)}`;
         const seriesLabel = legendLabels[i] ?? key;
         const segmentHeight = range > 0 ? (Math.abs(value) / range) * 100 : 0;
@@ -127,7 +131,7 @@ export function renderStackedColumn(config) {
             classes: `column-segment ${colorClass} ${seriesClass}`,
             bottom: positiveBottom,
             height: segmentHeight,
-            title: `${escapeHtml(seriesLabel)}: ${formatNumber(value, format) || value}`,
+            title: `${seriesLabel}: ${formatNumber(value, format) || value}`,
             isNegative: false
           });
           lastPositiveIdx = segments.length - 1;
@@ -138,7 +142,7 @@ export function renderStackedColumn(config) {
             classes: `column-segment ${colorClass} ${seriesClass} is-negative`,
             bottom: negativeTop,
             height: segmentHeight,
-            title: `${escapeHtml(seriesLabel)}: ${formatNumber(value, format) || value}`,
+            title: `${seriesLabel}: ${formatNumber(value, format) || value}`,
             isNegative: true
           });
           lastNegativeIdx = segments.length - 1;
@@ -150,7 +154,7 @@ export function renderStackedColumn(config) {
         const endClass = (idx === lastPositiveIdx || idx === lastNegativeIdx) ? ' is-stack-end' : '';
         html += `<div class="${seg.classes}${endClass}" `;
         html += `style="--value-bottom: ${seg.bottom.toFixed(2)}%; --value-height: ${seg.height.toFixed(2)}%" `;
-        html += `title="${seg.title}"></div>`;
+        html += `${pointAttributes(seg.title, tooltips)}></div>`;
       });
     } else {
       // Original stacked behavior for positive-only
@@ -167,13 +171,13 @@ export function renderStackedColumn(config) {
 
       const lastIdx = segmentData.length - 1;
       segmentData.forEach((seg, idx) => {
-        const colorClass = `chart-color-${seg.i + 1}`;
+        const colorClass = `chart-color-${palette.position.get(seg.key)}`;
         const seriesClass = `chart-series-${slugify(seg.key)}`;
         const seriesLabel = legendLabels[seg.i] ?? seg.key;
         const endClass = idx === lastIdx ? ' is-stack-end' : '';
         html += `<div class="column-segment ${colorClass} ${seriesClass}${endClass}" `;
         html += `style="--value: ${seg.pct.toFixed(2)}%" `;
-        html += `title="${escapeHtml(seriesLabel)}: ${formatNumber(seg.value, format) || seg.value}"></div>`;
+        html += `${pointAttributes(`${seriesLabel}: ${formatNumber(seg.value, format) || seg.value}`, tooltips)}></div>`;
       });
     }
 
@@ -192,6 +196,7 @@ export function renderStackedColumn(config) {
 
   html += `</div>`; // close chart-scroll
   html += `</div>`; // close chart-body
+  html += textAlternative.html;
   html += renderDownloadLink(downloadDataUrl, downloadData);
   html += `</figure>`;
 
@@ -0,0 +1,40 @@
+import yaml from 'js-yaml';
+
+/**
+ * Split chart shortcode arguments into a chart id and inline options
+ * Accepts "id", an options object, Nunjucks keyword arguments, or an id followed by options
+ * @param {Array} args - Shortcode arguments
+ * @returns {{ chartId: string|undefined, inline: Object|undefined }} - Referenced id and merged inline options
+ */
+export function parseChartArgs(args) {
+  const chartId = typeof args[0] === 'string' ? args[0] : undefined;
+  const objects = args.filter(arg => arg && typeof arg === 'object' && !Array.isArray(arg));
+  if (objects.length === 0) return { chartId, inline: undefined };
+
+  // Nunjucks passes keyword arguments as a trailing object flagged with __keywords
+  const { __keywords, ...inline } = Object.assign({}, ...objects);
+  return { chartId, inline };
+}
+
+/**
+ * Split a ```chart fence into shortcode-style arguments and an optional CSV body
+ * The fence holds YAML options (or just a chart id), optionally followed by a `---` line and CSV data;
+ * an id after the language (```chart sales) references a chart the options merge over
+ * @param {string} info - Fence info string
+ * @param {string} content - Fence content
+ * @returns {{ args: Array, body: string|undefined }} - Chart arguments and CSV body
+ */
+export function parseChartFence(info, content) {
+  const [, fenceId] = info.trim().split(/\s+/);
+  const lines = content.split(/\r?\n/);
+  const separator = lines.findIndex(line => /^---\s*$/.test(line));
+  const configText = separator === -1 ? content : lines.slice(0, separator).join('\n');
+  const body = separator === -1 ? undefined : lines.slice(separator + 1).join('\n');
+
+  const parsed = yaml.load(configText);
+  if (typeof parsed === 'string') return { args: [parsed], body };
+
+  const { id = fenceId, ...options } = parsed ?? {};
+  const args = [id != null ? String(id) : undefined, options].filter(arg => arg !== undefined);
+  return { args, body };
+}
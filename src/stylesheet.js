@@ -0,0 +1,126 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Directory holding the stylesheet parts and the bundle
+ */
+export const cssDir = path.join(__dirname, '../css');
+
+/**
+ * Path to the bundled stylesheet, with the rules for every chart type
+ */
+export const cssFile = path.join(cssDir, 'uncharted.css');
+
+/**
+ * Path to the optional client script, for charts rendered with `interactive: true`
+ */
+export const scriptFile = path.join(__dirname, '../js/uncharted.js');
+
+/**
+ * Stylesheet parts each built-in chart type needs on top of the core, in bundle order
+ * Line charts reuse the dot chart layout, so they load both parts
+ */
+export const cssParts = {
+  'stacked-bar': ['stacked-bar'],
+  'stacked-column': ['stacked-column'],
+  'donut': ['donut'],
+  'dot': ['dot'],
+  'line': ['dot', 'line'],
+  'scatter': ['scatter'],
+  'sankey': ['sankey']
+};
+
+/**
+ * Every part, in the order they appear in the bundle
+ * Themes come last so their custom properties win over the chart types' defaults
+ */
+const allParts = ['core', ...new Set(Object.values(cssParts).flat()), 'themes'];
+
+/**
+ * Get the file name of a stylesheet part
+ * @param {string} part - Part name, e.g. 'core' or 'donut'
+ * @returns {string} - File name, e.g. 'uncharted-donut.css'
+ */
+export function cssPartFile(part) {
+  return `uncharted-${part}.css`;
+}
+
+/**
+ * Find the chart types rendered in a page
+ * @param {string} html - Page HTML
+ * @returns {Set<string>} - Chart types, from the "chart chart-{type}" figure classes
+ */
+export function chartTypesIn(html) {
+  const types = new Set();
+  for (const match of html.matchAll(/class="chart chart-([\w-]+)/g)) {
+    types.add(match[1]);
+  }
+  return types;
+}
+
+/**
+ * List the stylesheet parts needed for a set of chart types
+ * Custom types and error boxes only need the core
+ * @param {Iterable<string>} types - Chart types
+ * @param {Object} [options] - Extra parts
+ * @param {boolean} [options.themes] - Include the theme rules
+ * @returns {string[]} - Part names, core first, in bundle order
+ */
+export function stylesheetParts(types, { themes = false } = {}) {
+  const needed = new Set(['core']);
+  for (const type of types) {
+    (cssParts[type] ?? []).forEach(part => needed.add(part));
+  }
+  if (themes) needed.add('themes');
+  return allParts.filter(part => needed.has(part));
+}
+
+/**
+ * List the stylesheet parts a page needs, from the charts rendered in it
+ * @param {string} html - Page HTML
+ * @returns {string[]} - Part names, core first, in bundle order
+ */
+export function pageStylesheetParts(html) {
+  return stylesheetParts(chartTypesIn(html), { themes: /class="chart [^"]*\bchart-theme-/.test(html) });
+}
+
+/**
+ * Check whether a page has charts for the client script to enhance
+ * @param {string} html - Page HTML
+ * @returns {boolean} - True if a chart carries the "chart-interactive" class
+ */
+export function pageIsInteractive(html) {
+  return /class="chart [^"]*\bchart-interactive\b/.test(html);
+}
+
+// Part text by name; the stylesheets ship with the package and don't change during a build
+const partCache = new Map();
+
+/**
+ * Read stylesheet parts and join them
+ * @param {string[]} [parts] - Part names (default: every part, i.e. the bundle)
+ * @returns {string} - Stylesheet text
+ */
+export function readStylesheet(parts = allParts) {
+  return parts.map(part => {
+    if (!partCache.has(part)) {
+      partCache.set(part, fs.readFileSync(path.join(cssDir, cssPartFile(part)), 'utf-8'));
+    }
+    return partCache.get(part);
+  }).join('\n');
+}
+
+// Client script text, read once like the parts
+let scriptText;
+
+/**
+ * Read the client script
+ * @returns {string} - Script text
+ */
+export function readScript() {
+  scriptText ??= fs.readFileSync(scriptFile, 'utf-8');
+  return scriptText;
+}
@@ -0,0 +1,250 @@
+import { slugify, escapeHtml } from '../utils.js';
+import { formatNumber } from '../formatters.js';
+import { themes, themeText, themePalette } from '../themes.js';
+import { assignColors } from '../components.js';
+
+/**
+ * Default palette, matching --chart-color-1 to --chart-color-12 in uncharted.css
+ * SVG output can't rely on the stylesheet, so colors are written into the markup
+ */
+export const palette = themes.light.palette;
+
+/**
+ * Neutral fill for tracks and gridlines (the stylesheet's --chart-bg)
+ */
+export const neutral = '#808080';
+
+/**
+ * Font stack for SVG text (HTML charts inherit the page font instead)
+ */
+const fontFamily = "system-ui, -apple-system, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif";
+
+/**
+ * Default SVG width in pixels
+ */
+export const defaultWidth = 640;
+
+/**
+ * Plot area height in pixels (the stylesheet's --chart-height)
+ */
+export const plotHeight = 192;
+
+/**
+ * Get the palette color for a series or segment
+ * @param {number} index - Zero-based series index
+ * @param {string[]} [colors] - Palette (default: the light palette; see themePalette)
+ * @returns {string} - Hex color
+ */
+export function svgColor(index, colors = palette) {
+  return colors[index % colors.length];
+}
+
+/**
+ * Get the fill for each series, honoring the chart's `colors:` map
+ * @param {string[]} keys - Series names, donut labels or Sankey nodes, in data order
+ * @param {string[]} [theme] - Theme names (see themePalette)
+ * @param {Object} [colors] - Map of name to a palette position or a CSS color (see assignColors)
+ * @param {Function} [warn] - Called when the keys outrun an eight-color palette (see assignColors)
+ * @returns {{ position: Map<string, number>, fill: Map<string, string> }} - 1-based palette position and fill color per key
+ */
+export function assignSvgColors(keys, theme, colors, warn) {
+  const themeColors = themePalette(theme);
+  const { position, override } = assignColors(keys, colors, { theme, warn });
+  const fill = new Map(keys.map(key => {
+    const n = position.get(key);
+    return [key, override.get(n) ?? svgColor(n - 1, themeColors)];
+  }));
+  return { position, fill };
+}
+
+/**
+ * Round a coordinate for output
+ * @param {number} value - Coordinate
+ * @returns {number} - Value rounded to two decimals
+ */
+export function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Estimate the rendered width of a text label
+ * SVG has no layout engine to measure text before rendering, so this uses an average glyph width
+ * @param {*} text - Label text
+ * @param {number} size - Font size in pixels
+ * @returns {number} - Approximate width in pixels
+ */
+export function textWidth(text, size) {
+  return String(text ?? '').length * size * 0.55;
+}
+
+/**
+ * Format a value for a label or tooltip
+ * @param {number} value - Raw value
+ * @param {Object} [format] - Number format (see formatNumber)
+ * @returns {string} - Formatted value
+ */
+export function formatValue(value, format) {
+  return String(formatNumber(value, format) || value);
+}
+
+/**
+ * Render a text element
+ * @param {number} x - X position
+ * @param {number} y - Baseline Y position
+ * @param {*} text - Text content (escaped)
+ * @param {Object} [attrs] - Extra attributes, e.g. { 'font-size': 12, 'text-anchor': 'end' }
+ * @returns {string} - <text> markup
+ */
+export function svgText(x, y, text, attrs = {}) {
+  const extra = Object.entries(attrs)
+    .filter(([, value]) => value != null)
+    .map(([key, value]) => ` ${key}="${escapeHtml(String(value))}"`)
+    .join('');
+  return `<text x="${round(x)}" y="${round(y)}"${extra}>${escapeHtml(String(text ?? ''))}</text>`;
+}
+
+/**
+ * Render the chart title and subtitle
+ * @param {string} [title] - Chart title
+ * @param {string} [subtitle] - Chart subtitle
+ * @returns {{ svg: string, height: number }} - Markup and the vertical space it takes
+ */
+export function renderSvgTitle(title, subtitle) {
+  if (!title) return { svg: '', height: 0 };
+  let svg = svgText(0, 16, title, { 'font-size': 16, 'font-weight': 600 });
+  let height = 20;
+  if (subtitle) {
+    svg += svgText(0, height + 16, subtitle, { 'font-size': 14, 'fill-opacity': 0.7 });
+    height += 20;
+  }
+  return { svg, height: height + 12 };
+}
+
+/**
+ * Render a legend, wrapping items onto new rows to fit the width
+ * @param {Object[]} items - Legend items: { key, label, color, value, position } (position: palette position, default: the item order)
+ * @param {Object} options - Layout options
+ * @param {number} options.y - Top of the legend
+ * @param {number} options.width - Available width
+ * @param {number} [options.x] - Left edge (default: 0)
+ * @param {string} [options.marker] - 'square' or 'circle' (default: 'square')
+ * @param {boolean} [options.column] - Stack items vertically instead of wrapping rows
+ * @returns {{ svg: string, height: number }} - Markup and the vertical space it takes
+ */
+export function renderSvgLegend(items, { y, width, x: left = 0, marker = 'square', column = false }) {
+  if (items.length === 0) return { svg: '', height: 0 };
+  const size = 14;
+  const rowHeight = 22;
+  let svg = '';
+  let x = left;
+  let rowTop = y;
+
+  items.forEach(({ key, label, color, value, position }, i) => {
+    const valueText = value != null ? ` ${value}` : '';
+    const itemWidth = 20 + textWidth(label + valueText, size);
+    if (i > 0 && (column || x + itemWidth > left + width)) {
+      x = left;
+      rowTop += rowHeight;
+    }
+    const className = `chart-legend-item chart-color-${position ?? i + 1} chart-series-${slugify(key ?? label)}`;
+    svg += `<g class="${escapeHtml(className)}">`;
+    svg += marker === 'circle'
+      ? `<circle cx="${round(x + 6)}" cy="${round(rowTop + 8)}" r="6" fill="${color}"/>`
+      : `<rect x="${round(x)}" y="${round(rowTop + 2)}" width="12" height="12" rx="2" fill="${color}"/>`;
+    svg += `<text x="${round(x + 20)}" y="${round(rowTop + 13)}" font-size="${size}">${escapeHtml(String(label))}`;
+    if (value != null) {
+      svg += ` <tspan fill-opacity="0.7">${escapeHtml(String(value))}</tspan>`;
+    }
+    svg += `</text></g>`;
+    x += itemWidth + 16;
+  });
+
+  return { svg, height: rowTop - y + rowHeight + 10 };
+}
+
+/**
+ * Render value axis labels with gridlines across the plot
+ * @param {number[]} values - Axis values
+ * @param {Object} options - Layout options
+ * @param {Function} options.scale - (value) => Y position
+ * @param {number} options.left - Left edge of the plot (labels are right-aligned before it)
+ * @param {number} options.right - Right edge of the plot
+ * @param {Object} [options.format] - Number format (see formatNumber)
+ * @returns {string} - Axis markup
+ */
+export function renderSvgYAxis(values, { scale, left, right, format }) {
+  let svg = `<g class="chart-y-axis" font-size="11">`;
+  values.forEach(value => {
+    const y = scale(value);
+    const opacity = value === 0 ? 0.5 : 0.2;
+    svg += `<line x1="${round(left)}" x2="${round(right)}" y1="${round(y)}" y2="${round(y)}" stroke="${neutral}" stroke-opacity="${opacity}"/>`;
+    svg += svgText(left - 6, y + 4, formatValue(value, format), { 'text-anchor': 'end', 'fill-opacity': 0.6 });
+  });
+  svg += `</g>`;
+  return svg;
+}
+
+/**
+ * Measure the widest value axis label
+ * @param {number[]} values - Axis values
+ * @param {Object} [format] - Number format (see formatNumber)
+ * @returns {number} - Gutter width in pixels, including spacing
+ */
+export function yAxisWidth(values, format) {
+  return Math.max(...values.map(value => textWidth(formatValue(value, format), 11))) + 10;
+}
+
+/**
+ * Render category labels under a banded plot
+ * @param {string[]} labels - Category labels, one per band
+ * @param {Object} options - Layout options
+ * @param {number} options.left - Left edge of the first band
+ * @param {number} options.band - Band width
+ * @param {number} options.y - Top of the label row
+ * @param {boolean} [options.rotate] - Rotate labels 45 degrees
+ * @returns {{ svg: string, height: number }} - Markup and the vertical space it takes
+ */
+export function renderSvgXLabels(labels, { left, band, y, rotate = false }) {
+  let svg = `<g class="chart-x-labels" font-size="11" fill-opacity="0.6">`;
+  labels.forEach((label, i) => {
+    const x = left + band * (i + 0.5);
+    svg += rotate
+      ? svgText(x, y + 10, label, { 'text-anchor': 'end', transform: `rotate(-45 ${round(x)} ${round(y + 10)})` })
+      : svgText(x, y + 12, label, { 'text-anchor': 'middle' });
+  });
+  svg += `</g>`;
+  const height = rotate ? Math.max(...labels.map(label => textWidth(label, 11))) * 0.71 + 16 : 18;
+  return { svg, height };
+}
+
+/**
+ * Wrap chart markup in a self-contained <svg> root
+ * @param {Object} options - Chart options
+ * @param {string} options.type - Chart type (becomes "chart-svg-{type}")
+ * @param {string} [options.id] - Chart id (becomes "chart-{id}")
+ * @param {string} [options.title] - Accessible name
+ * @param {number} options.width - Width in pixels
+ * @param {number} options.height - Height in pixels
+ * @param {string} options.body - Chart markup
+ * @param {string[]} [options.theme] - Theme names; a theme with a text color replaces currentColor
+ * @param {string} [options.description] - Author's description for screen readers
+ * @param {string} [options.summary] - Generated summary (see summarizeSeries and friends); with the description, becomes the <desc>
+ * @returns {string} - SVG markup
+ */
+export function renderSvgChart({ type, id, title, width, height, body, theme, description, summary }) {
+  const classes = ['chart-svg', `chart-svg-${type}`, id && `chart-${id}`].filter(Boolean).join(' ');
+  const w = Math.ceil(width);
+  const h = Math.ceil(height);
+  let svg = `<svg xmlns="http://www.w3.org/2000/svg" class="${escapeHtml(classes)}" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}" `;
+  svg += `style="max-width: 100%; height: auto" role="img" font-family="${escapeHtml(fontFamily)}" fill="${themeText(theme) ?? 'currentColor'}">`;
+  if (title) {
+    svg += `<title>${escapeHtml(title)}</title>`;
+  }
+  const desc = [description, summary].filter(Boolean).join(' ');
+  if (desc) {
+    svg += `<desc>${escapeHtml(desc)}</desc>`;
+  }
+  svg += body;
+  svg += `</svg>`;
+  return svg;
+}
@@ -0,0 +1,139 @@
+import { slugify, escapeHtml, getLabelKey, getValueKey, getSeriesNames } from '../utils.js';
+import {
+  assignSvgColors, defaultWidth, round, textWidth, formatValue, svgText,
+  renderSvgTitle, renderSvgLegend, renderSvgChart
+} from './components.js';
+import { summarizeDonut } from '../accessibility.js';
+
+/**
+ * Get a point on a circle, measuring clockwise from 12 o'clock
+ * @param {number} cx - Center X
+ * @param {number} cy - Center Y
+ * @param {number} r - Radius
+ * @param {number} fraction - Position around the circle (0-1)
+ * @returns {string} - "x,y"
+ */
+function pointAt(cx, cy, r, fraction) {
+  const angle = fraction * 2 * Math.PI - Math.PI / 2;
+  return `${round(cx + r * Math.cos(angle))},${round(cy + r * Math.sin(angle))}`;
+}
+
+/**
+ * Build the path for one ring segment
+ * @param {number} cx - Center X
+ * @param {number} cy - Center Y
+ * @param {number} outer - Outer radius
+ * @param {number} inner - Inner radius
+ * @param {number} start - Start position (0-1)
+ * @param {number} end - End position (0-1)
+ * @returns {string} - Path data
+ */
+function ringSegment(cx, cy, outer, inner, start, end) {
+  // A full ring can't be drawn as one arc; split it in two
+  if (end - start >= 0.9999) {
+    return ringSegment(cx, cy, outer, inner, 0, 0.5) + ' ' + ringSegment(cx, cy, outer, inner, 0.5, 1);
+  }
+  const large = end - start > 0.5 ? 1 : 0;
+  return `M ${pointAt(cx, cy, outer, start)} A ${outer} ${outer} 0 ${large} 1 ${pointAt(cx, cy, outer, end)} ` +
+    `L ${pointAt(cx, cy, inner, end)} A ${inner} ${inner} 0 ${large} 0 ${pointAt(cx, cy, inner, start)} Z`;
+}
+
+/**
+ * Render a donut chart as SVG
+ * Takes the same config as renderDonut
+ * @param {Object} config - Chart configuration
+ * @param {number} [config.width] - SVG width in pixels (default: 640)
+ * @returns {string} - SVG string
+ */
+export function renderDonutSvg(config) {
+  const { title, subtitle, data, theme, colors, description, legend, center, format, id, showPercentages, width = defaultWidth, label: labelColumn, value: valueColumn, series, warn } = config;
+
+  if (!data || data.length === 0) {
+    return `<!-- Donut chart: no data provided -->`;
+  }
+
+  const labelKey = getLabelKey(data, labelColumn);
+  const valueKey = valueColumn != null ? getValueKey(data, valueColumn) : getSeriesNames(data, null, labelKey)[0];
+  const seriesKeys = getSeriesNames(data, series, labelKey);
+
+  let segments;
+  if (valueColumn != null || (series == null && seriesKeys.length === 1)) {
+    segments = data.filter(item => item[valueKey] != null).map(item => ({
+      label: item[labelKey],
+      value: typeof item[valueKey] === 'number' ? item[valueKey] : parseFloat(item[valueKey]) || 0
+    }));
+  } else {
+    segments = seriesKeys.filter(name => data[0][name] != null).map(name => ({
+      label: name,
+      value: typeof data[0][name] === 'number' ? data[0][name] : parseFloat(data[0][name]) || 0
+    }));
+  }
+
+  const total = segments.reduce((sum, s) => sum + s.value, 0);
+  if (total === 0) {
+    return `<!-- Donut chart: total is zero -->`;
+  }
+
+  const header = renderSvgTitle(title, subtitle);
+  let svg = header.svg;
+  const top = header.height;
+
+  const palette = assignSvgColors(segments.map(s => s.label), theme, colors, warn);
+  const legendLabels = legend ?? segments.map(s => s.label);
+  const items = segments.map((segment, i) => ({
+    key: segment.label,
+    label: legendLabels[i] ?? segment.label,
+    color: palette.fill.get(segment.label),
+    position: palette.position.get(segment.label),
+    value: showPercentages ? ((segment.value / total) * 100).toFixed(1) + '%' : formatValue(segment.value, format)
+  }));
+
+  // Legend beside the donut when there's room, below it otherwise
+  const legendWidth = Math.max(...items.map(item => 20 + textWidth(`${item.label} ${item.value}`, 14)));
+  const size = Math.min(320, width);
+  const beside = width >= size + 32 + legendWidth;
+  const cx = size / 2;
+  const cy = top + size / 2;
+  const outer = size / 2;
+  const inner = outer * 0.42;
+
+  svg += `<g class="donut-ring">`;
+  let position = 0;
+  segments.forEach((segment, i) => {
+    const fraction = segment.value / total;
+    if (fraction > 0) {
+      svg += `<path class="chart-color-${palette.position.get(segment.label)} chart-series-${slugify(segment.label)}" d="${ringSegment(cx, cy, outer, inner, position, position + fraction)}" fill="${palette.fill.get(segment.label)}">`;
+      svg += `<title>${escapeHtml(`${items[i].label}: ${items[i].value}`)}</title></path>`;
+    }
+    position += fraction;
+  });
+  svg += `</g>`;
+
+  if (center) {
+    const centerValue = center.value === 'total' ? total : center.value;
+    const hasValue = centerValue !== undefined;
+    const valueY = center.label && hasValue ? cy + 4 : cy + 11;
+    if (hasValue) {
+      const displayValue = typeof centerValue === 'number' ? formatValue(centerValue, format) : centerValue;
+      svg += svgText(cx, valueY, displayValue, { 'font-size': 32, 'font-weight': 600, 'text-anchor': 'middle' });
+    }
+    if (center.label) {
+      svg += svgText(cx, hasValue ? valueY + 20 : cy + 4, center.label, { 'font-size': 12, 'fill-opacity': 0.7, 'text-anchor': 'middle' });
+    }
+  }
+
+  let height = top + size;
+  if (beside) {
+    const legendTop = Math.max(top, cy - (items.length * 22) / 2);
+    const legendBlock = renderSvgLegend(items, { x: size + 32, y: legendTop, width: legendWidth, column: true });
+    svg += legendBlock.svg;
+    height = Math.max(height, legendTop + legendBlock.height);
+  } else {
+    const legendBlock = renderSvgLegend(items, { y: height + 16, width });
+    svg += legendBlock.svg;
+    height += 16 + legendBlock.height;
+  }
+
+  const summary = summarizeDonut(segments, total, format);
+  return renderSvgChart({ type: 'donut', id, title, width, height, body: svg, theme, description, summary });
+}
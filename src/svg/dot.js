@@ -0,0 +1,105 @@
+import { slugify, getLabelKey, getSeriesNames, escapeHtml } from '../utils.js';
+import {
+  assignSvgColors, defaultWidth, plotHeight, round, formatValue,
+  renderSvgTitle, renderSvgLegend, renderSvgYAxis, yAxisWidth, renderSvgXLabels, renderSvgChart
+} from './components.js';
+import { summarizeSeries } from '../accessibility.js';
+
+/**
+ * Render a categorical dot chart as SVG
+ * Takes the same config as renderDot (line charts pass connectDots)
+ * @param {Object} config - Chart configuration
+ * @param {number} [config.width] - SVG width in pixels (default: 640)
+ * @returns {string} - SVG string
+ */
+export function renderDotSvg(config) {
+  const { title, subtitle, data, theme, colors, description, max, min, legend, format, id, rotateLabels, connectDots, dots: showDots = true, chartType = 'dot', width = defaultWidth, label: labelColumn, series, warn } = config;
+
+  if (!data || data.length === 0) {
+    return `<!-- Dot chart: no data provided -->`;
+  }
+
+  const labelKey = getLabelKey(data, labelColumn);
+  const seriesKeys = getSeriesNames(data, series, labelKey);
+  const palette = assignSvgColors(seriesKeys, theme, colors, warn);
+  const legendLabels = legend ?? seriesKeys;
+
+  // Null cells are gaps, not zeros
+  const toNumber = val => (val == null ? null : typeof val === 'number' ? val : parseFloat(val) || 0);
+  const allValues = data.flatMap(row => seriesKeys.map(key => toNumber(row[key])).filter(v => v != null));
+  const dataMax = allValues.length > 0 ? Math.max(...allValues) : 0;
+  const dataMin = allValues.length > 0 ? Math.min(...allValues) : 0;
+  const maxValue = max ?? dataMax;
+  const minValue = min ?? (dataMin < 0 ? dataMin : 0);
+  const range = maxValue - minValue;
+  const hasNegativeY = minValue < 0;
+
+  const header = renderSvgTitle(title, subtitle);
+  let svg = header.svg;
+  let top = header.height;
+
+  const items = seriesKeys.map((key, i) => ({ key, label: legendLabels[i] ?? key, color: palette.fill.get(key), position: palette.position.get(key) }));
+  const legendBlock = renderSvgLegend(items, { y: top, width, marker: 'circle' });
+  svg += legendBlock.svg;
+  top += legendBlock.height + 6;
+
+  const scale = value => top + (range > 0 ? (maxValue - value) / range : 1) * plotHeight;
+  const ticks = [maxValue, hasNegativeY ? 0 : Math.round((maxValue + minValue) / 2), minValue];
+  const left = yAxisWidth(ticks, format);
+  svg += renderSvgYAxis(ticks, { scale, left, right: width, format });
+
+  const band = (width - left) / data.length;
+  const centerX = index => left + band * (index + 0.5);
+
+  // Lines first so dots sit on top; a missing value breaks the line
+  if (connectDots && data.length > 1) {
+    seriesKeys.forEach((key, i) => {
+      let d = '';
+      let drawing = false;
+      data.forEach((row, colIndex) => {
+        const value = toNumber(row[key]);
+        if (value == null) {
+          drawing = false;
+          return;
+        }
+        d += `${drawing ? 'L' : 'M'} ${round(centerX(colIndex))},${round(scale(value))} `;
+        drawing = true;
+      });
+      if (d.includes('L')) {
+        svg += `<path class="chart-line-segment chart-color-${palette.position.get(key)} chart-series-${slugify(key)}" d="${d.trim()}" `;
+        svg += `fill="none" stroke="${palette.fill.get(key)}" stroke-width="2" stroke-linejoin="round"/>`;
+      }
+    });
+  }
+
+  if (showDots) {
+    svg += `<g class="dot-field">`;
+    data.forEach((row, colIndex) => {
+      seriesKeys.forEach((key, i) => {
+        const value = toNumber(row[key]);
+        if (value == null) return;
+        const tooltipLabel = legendLabels[i] ?? key;
+        svg += `<circle class="dot chart-color-${palette.position.get(key)} chart-series-${slugify(key)}" cx="${round(centerX(colIndex))}" cy="${round(scale(value))}" r="6" fill="${palette.fill.get(key)}">`;
+        svg += `<title>${escapeHtml(`${tooltipLabel}: ${formatValue(value, format)}`)}</title></circle>`;
+      });
+    });
+    svg += `</g>`;
+  }
+
+  const labels = renderSvgXLabels(data.map(row => String(row[labelKey] ?? '')), {
+    left, band, y: top + plotHeight, rotate: rotateLabels
+  });
+  svg += labels.svg;
+
+  const summary = summarizeSeries(chartType === 'line' ? 'Line chart' : 'Dot chart', data, { labelKey, seriesKeys, labels: legendLabels, format });
+  return renderSvgChart({ type: chartType, id, title, width, height: top + plotHeight + labels.height, body: svg, theme, description, summary });
+}
+
+/**
+ * Render a line chart as SVG (a dot chart with connected series)
+ * @param {Object} config - Chart configuration
+ * @returns {string} - SVG string
+ */
+export function renderLineSvg(config) {
+  return renderDotSvg({ ...config, connectDots: true, chartType: 'line' });
+}
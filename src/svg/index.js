@@ -0,0 +1,18 @@
+import { renderStackedBarSvg } from './stacked-bar.js';
+import { renderStackedColumnSvg } from './stacked-column.js';
+import { renderDonutSvg } from './donut.js';
+import { renderDotSvg, renderLineSvg } from './dot.js';
+import { renderScatterSvg } from './scatter.js';
+import { renderSankeySvg } from './sankey.js';
+
+export const svgRenderers = {
+  'stacked-bar': renderStackedBarSvg,
+  'stacked-column': renderStackedColumnSvg,
+  'donut': renderDonutSvg,
+  'dot': renderDotSvg,
+  'scatter': renderScatterSvg,
+  'sankey': renderSankeySvg,
+  'line': renderLineSvg
+};
+
+export { renderStackedBarSvg, renderStackedColumnSvg, renderDonutSvg, renderDotSvg, renderScatterSvg, renderSankeySvg, renderLineSvg };
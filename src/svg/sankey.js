@@ -0,0 +1,117 @@
+import { slugify, escapeHtml, uniqueId } from '../utils.js';
+import { layoutSankey } from '../renderers/sankey.js';
+import { themePalette } from '../themes.js';
+import {
+  svgColor, defaultWidth, round, textWidth, formatValue, svgText,
+  renderSvgTitle, renderSvgLegend, renderSvgChart
+} from './components.js';
+import { summarizeSankey } from '../accessibility.js';
+
+/**
+ * Render a Sankey diagram as SVG
+ * Takes the same config as renderSankey and uses the same layout
+ * @param {Object} config - Chart configuration
+ * @param {number} [config.width] - SVG width in pixels (default: 640)
+ * @returns {string} - SVG string
+ */
+export function renderSankeySvg(config) {
+  const { title, subtitle, data, theme, colors, description, legend, format, id, warn, nodeWidth = 20, nodePadding = 10, endLabelsOutside = false, proportional = false, width = defaultWidth, source, target, value } = config;
+
+  if (!data || data.length === 0) {
+    return `<!-- Sankey chart: no data provided -->`;
+  }
+
+  const themeColors = themePalette(theme);
+
+  const layout = layoutSankey(data, { source, target, value, nodePadding, proportional, colors, theme, warn });
+  if (!layout) {
+    return `<!-- Sankey chart: no valid edges -->`;
+  }
+  const { nodes, levels, nodePosition, nodeThroughput, nodeColors, colorOverrides, flows, heightScale } = layout;
+  const nodeFill = node => colorOverrides.get(nodeColors.get(node)) ?? svgColor(nodeColors.get(node) - 1, themeColors);
+
+  const header = renderSvgTitle(title, subtitle);
+  let svg = header.svg;
+  let top = header.height;
+
+  if (legend) {
+    const items = nodes.map(node => ({
+      key: node,
+      label: node,
+      color: nodeFill(node),
+      position: nodeColors.get(node),
+      value: format ? formatValue(nodeThroughput.get(node), format) : undefined
+    }));
+    const legendBlock = renderSvgLegend(items, { y: top, width });
+    svg += legendBlock.svg;
+    top += legendBlock.height;
+  }
+  top += 16;
+
+  // Same base height as the HTML diagram (16rem), grown when nodes need more room
+  const height = 256 * heightScale;
+  const lastLevel = levels[levels.length - 1];
+  const outsideWidth = endLabelsOutside ? Math.max(...lastLevel.map(node => textWidth(node, 12))) + 8 : 0;
+  const span = width - outsideWidth - nodeWidth;
+  const levelX = level => (levels.length > 1 ? (level / (levels.length - 1)) * span : 0);
+  const toY = pct => top + (pct / 100) * height;
+
+  // Gradient ids must be unique on the page, including repeated renders of the same chart
+  const prefix = uniqueId(`uncharted-${id ? slugify(id) : 'sankey'}`);
+
+  svg += `<defs>`;
+  flows.forEach((flow, i) => {
+    svg += `<linearGradient id="${prefix}-${i}">`;
+    svg += `<stop offset="0%" stop-color="${nodeFill(flow.source)}"/>`;
+    svg += `<stop offset="100%" stop-color="${nodeFill(flow.target)}"/>`;
+    svg += `</linearGradient>`;
+  });
+  svg += `</defs>`;
+
+  // Flows taper from their height at the source node to their height at the target node
+  svg += `<g class="chart-sankey-flows" fill-opacity="0.5">`;
+  flows.forEach((flow, i) => {
+    const x0 = levelX(flow.fromLevel) + nodeWidth;
+    const x1 = levelX(flow.toLevel);
+    const cx1 = x0 + (x1 - x0) * 0.4;
+    const cx2 = x0 + (x1 - x0) * 0.6;
+    const y1 = toY(flow.fromTop);
+    const y2 = toY(flow.toTop);
+    const y1b = toY(flow.fromTop + flow.fromHeight);
+    const y2b = toY(flow.toTop + flow.toHeight);
+    const d = `M ${round(x0)},${round(y1)} C ${round(cx1)},${round(y1)} ${round(cx2)},${round(y2)} ${round(x1)},${round(y2)} ` +
+      `L ${round(x1)},${round(y2b)} C ${round(cx2)},${round(y2b)} ${round(cx1)},${round(y1b)} ${round(x0)},${round(y1b)} Z`;
+    const tooltipText = `${flow.source} → ${flow.target}: ${formatValue(flow.value, format)}`;
+    svg += `<path class="chart-sankey-flow chart-flow-${slugify(flow.source)} chart-flow-${slugify(flow.target)}" d="${d}" fill="url(#${prefix}-${i})">`;
+    svg += `<title>${escapeHtml(tooltipText)}</title></path>`;
+  });
+  svg += `</g>`;
+
+  // Nodes with labels: inside the diagram pointing right, except the last level, which points left
+  // (or sits outside on the right with endLabelsOutside)
+  svg += `<g class="chart-sankey-nodes">`;
+  levels.forEach((levelNodes, levelIndex) => {
+    const isLast = levelIndex === levels.length - 1 && levels.length > 1;
+    const x = levelX(levelIndex);
+    levelNodes.forEach(node => {
+      const pos = nodePosition.get(node);
+      const colorIndex = nodeColors.get(node);
+      const y = toY(pos.top);
+      const nodeHeight = (pos.height / 100) * height;
+      const tooltipText = `${node}: ${formatValue(nodeThroughput.get(node), format)}`;
+      svg += `<g class="chart-sankey-node chart-color-${colorIndex} chart-series-${slugify(node)}">`;
+      svg += `<rect x="${round(x)}" y="${round(y)}" width="${nodeWidth}" height="${round(nodeHeight)}" fill="${nodeFill(node)}">`;
+      svg += `<title>${escapeHtml(tooltipText)}</title></rect>`;
+      const labelLeft = isLast && !endLabelsOutside;
+      svg += svgText(labelLeft ? x - 6 : x + nodeWidth + 6, y + nodeHeight / 2 + 4, node, {
+        'font-size': 12,
+        'text-anchor': labelLeft ? 'end' : undefined
+      });
+      svg += `</g>`;
+    });
+  });
+  svg += `</g>`;
+
+  const summary = summarizeSankey(layout.edges, { nodeCount: nodes.length, levelCount: levels.length, format });
+  return renderSvgChart({ type: 'sankey', id, title, width, height: top + height + 16, body: svg, theme, description, summary });
+}
@@ -0,0 +1,122 @@
+import { slugify, escapeHtml, resolveColumn } from '../utils.js';
+import {
+  assignSvgColors, neutral, defaultWidth, plotHeight, round, formatValue, svgText,
+  renderSvgTitle, renderSvgLegend, renderSvgYAxis, yAxisWidth, renderSvgChart
+} from './components.js';
+import { summarizeScatter } from '../accessibility.js';
+
+/**
+ * Render a scatter plot as SVG
+ * Takes the same config as renderScatter
+ * @param {Object} config - Chart configuration
+ * @param {number} [config.width] - SVG width in pixels (default: 640)
+ * @returns {string} - SVG string
+ */
+export function renderScatterSvg(config) {
+  const { title, subtitle, data, theme, colors, description, maxX, maxY, minX, minY, legend, format, titleX, titleY, id, width = defaultWidth, label: labelColumn, x: xColumn, y: yColumn, series: seriesColumn, warn } = config;
+
+  const fmtX = format?.x || format || {};
+  const fmtY = format?.y || format || {};
+
+  if (!data || data.length === 0) {
+    return `<!-- Scatter chart: no data provided -->`;
+  }
+
+  const labelKey = resolveColumn(data, labelColumn, 0);
+  const xKey = resolveColumn(data, xColumn, 1);
+  const yKey = resolveColumn(data, yColumn, 2);
+  const seriesKey = seriesColumn != null || (xColumn == null && yColumn == null)
+    ? resolveColumn(data, seriesColumn, 3)
+    : undefined;
+
+  const dots = data.filter(item => item[xKey] != null && item[yKey] != null).map(item => ({
+    label: item[labelKey] ?? '',
+    x: typeof item[xKey] === 'number' ? item[xKey] : parseFloat(item[xKey]) || 0,
+    y: typeof item[yKey] === 'number' ? item[yKey] : parseFloat(item[yKey]) || 0,
+    series: seriesKey ? (item[seriesKey] ?? 'default') : 'default'
+  }));
+
+  if (dots.length === 0) {
+    return `<!-- Scatter chart: no plottable points -->`;
+  }
+
+  const xValues = dots.map(d => d.x);
+  const yValues = dots.map(d => d.y);
+  const dataMinX = Math.min(...xValues);
+  const dataMinY = Math.min(...yValues);
+  const calcMaxX = maxX ?? Math.max(...xValues);
+  const calcMaxY = maxY ?? Math.max(...yValues);
+  const calcMinX = minX ?? (dataMinX < 0 ? dataMinX : 0);
+  const calcMinY = minY ?? (dataMinY < 0 ? dataMinY : 0);
+  const rangeX = calcMaxX - calcMinX;
+  const rangeY = calcMaxY - calcMinY;
+  const hasNegativeX = calcMinX < 0;
+  const hasNegativeY = calcMinY < 0;
+
+  const seriesList = Array.from(new Set(dots.map(d => d.series)));
+  const palette = assignSvgColors(seriesList, theme, colors, warn);
+  const seriesLabels = Array.isArray(legend) ? legend : seriesList;
+
+  const header = renderSvgTitle(title, subtitle);
+  let svg = header.svg;
+  let top = header.height;
+
+  if (seriesList.length > 1 || legend) {
+    const items = seriesList.map((key, i) => ({ key, label: seriesLabels[i] ?? key, color: palette.fill.get(key), position: palette.position.get(key) }));
+    const legendBlock = renderSvgLegend(items, { y: top, width, marker: 'circle' });
+    svg += legendBlock.svg;
+    top += legendBlock.height;
+  }
+  top += 6;
+
+  // Y-axis title runs vertically to the left of the axis labels
+  const yAxisTitle = titleY ?? yKey;
+  const titleGutter = yAxisTitle ? 18 : 0;
+  const ticksY = [calcMaxY, hasNegativeY ? 0 : Math.round((calcMaxY + calcMinY) / 2), calcMinY];
+  const left = titleGutter + yAxisWidth(ticksY, fmtY);
+  const right = width - 6;
+  const scaleY = value => top + (rangeY > 0 ? (calcMaxY - value) / rangeY : 1) * plotHeight;
+  const scaleX = value => left + (rangeX > 0 ? (value - calcMinX) / rangeX : 0) * (right - left);
+
+  svg += renderSvgYAxis(ticksY, { scale: scaleY, left, right, format: fmtY });
+  if (yAxisTitle) {
+    const middle = top + plotHeight / 2;
+    svg += svgText(12, middle, yAxisTitle, { 'font-size': 11, 'fill-opacity': 0.6, 'text-anchor': 'middle', transform: `rotate(-90 12 ${round(middle)})` });
+  }
+
+  // Vertical axis line at x = 0 (or the left edge)
+  const axisX = scaleX(hasNegativeX ? 0 : calcMinX);
+  svg += `<line x1="${round(axisX)}" x2="${round(axisX)}" y1="${round(top)}" y2="${round(top + plotHeight)}" stroke="${neutral}" stroke-opacity="0.5"/>`;
+
+  svg += `<g class="dot-field">`;
+  dots.forEach(dot => {
+    const tooltipText = `${dot.label ? `${dot.label}: ` : ''}(${formatValue(dot.x, fmtX)}, ${formatValue(dot.y, fmtY)})`;
+    svg += `<circle class="dot chart-color-${palette.position.get(dot.series)} chart-series-${slugify(dot.series)}" cx="${round(scaleX(dot.x))}" cy="${round(scaleY(dot.y))}" r="6" fill="${palette.fill.get(dot.series)}">`;
+    svg += `<title>${escapeHtml(tooltipText)}</title></circle>`;
+  });
+  svg += `</g>`;
+
+  // X-axis labels and title
+  const bottom = top + plotHeight;
+  const ticksX = [calcMinX, hasNegativeX ? 0 : Math.round((calcMaxX + calcMinX) / 2), calcMaxX];
+  const anchors = ['start', 'middle', 'end'];
+  svg += `<g class="chart-x-axis" font-size="11" fill-opacity="0.6">`;
+  ticksX.forEach((value, i) => {
+    const x = i === 1 ? scaleX(value) : i === 0 ? left : right;
+    svg += svgText(x, bottom + 14, formatValue(value, fmtX), { 'text-anchor': anchors[i] });
+  });
+  const xAxisTitle = titleX ?? xKey;
+  if (xAxisTitle) {
+    svg += svgText((left + right) / 2, bottom + 30, xAxisTitle, { 'text-anchor': 'middle' });
+  }
+  svg += `</g>`;
+
+  const summary = summarizeScatter(dots, {
+    xKey: xAxisTitle,
+    yKey: yAxisTitle,
+    series: seriesList.map((name, i) => String(seriesLabels[i] ?? name)),
+    formatX: fmtX,
+    formatY: fmtY
+  });
+  return renderSvgChart({ type: 'scatter', id, title, width, height: bottom + (xAxisTitle ? 34 : 18), body: svg, theme, description, summary });
+}
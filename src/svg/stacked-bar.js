@@ -0,0 +1,78 @@
+import { slugify, getLabelKey, getSeriesNames, escapeHtml } from '../utils.js';
+import {
+  assignSvgColors, neutral, defaultWidth, round, textWidth, formatValue, svgText,
+  renderSvgTitle, renderSvgLegend, renderSvgChart
+} from './components.js';
+import { summarizeSeries } from '../accessibility.js';
+
+/**
+ * Render a stacked bar chart (horizontal) as SVG
+ * Takes the same config as renderStackedBar
+ * @param {Object} config - Chart configuration
+ * @param {number} [config.width] - SVG width in pixels (default: 640)
+ * @returns {string} - SVG string
+ */
+export function renderStackedBarSvg(config) {
+  const { title, subtitle, data, theme, colors, description, max, legend, format, id, width = defaultWidth, label: labelColumn, series, warn } = config;
+
+  if (!data || data.length === 0) {
+    return `<!-- Stacked bar chart: no data provided -->`;
+  }
+
+  const labelKey = getLabelKey(data, labelColumn);
+  const seriesKeys = getSeriesNames(data, series, labelKey);
+  const palette = assignSvgColors(seriesKeys, theme, colors, warn);
+  const legendLabels = legend ?? seriesKeys;
+
+  const rows = data.map(row => {
+    const values = seriesKeys.map(key => {
+      const val = row[key];
+      return typeof val === 'number' ? val : parseFloat(val) || 0;
+    });
+    return { label: String(row[labelKey] ?? ''), values, total: values.reduce((sum, v) => sum + v, 0) };
+  });
+  const calculatedMax = max ?? Math.max(...rows.map(row => row.total));
+
+  const header = renderSvgTitle(title, subtitle);
+  let svg = header.svg;
+  let y = header.height;
+
+  const items = seriesKeys.map((key, i) => ({ key, label: legendLabels[i] ?? key, color: palette.fill.get(key), position: palette.position.get(key) }));
+  const legendBlock = renderSvgLegend(items, { y, width });
+  svg += legendBlock.svg;
+  y += legendBlock.height;
+
+  // Label gutter on the left, total values on the right
+  const labelWidth = Math.min(width * 0.3, Math.max(...rows.map(row => textWidth(row.label, 14))));
+  const valueWidth = Math.max(...rows.map(row => textWidth(formatValue(row.total, format), 14)));
+  const trackX = labelWidth + 8;
+  const trackWidth = Math.max(0, width - trackX - valueWidth - 8);
+  const barHeight = 24;
+  const gap = 8;
+
+  svg += `<g class="chart-bars">`;
+  rows.forEach(row => {
+    const middle = y + barHeight / 2;
+    svg += svgText(labelWidth, middle + 5, row.label, { 'font-size': 14, 'text-anchor': 'end' });
+    svg += `<rect class="bar-track" x="${round(trackX)}" y="${round(y)}" width="${round(trackWidth)}" height="${barHeight}" rx="2" fill="${neutral}" fill-opacity="0.15"/>`;
+
+    let x = trackX;
+    row.values.forEach((value, i) => {
+      const segmentWidth = calculatedMax > 0 ? (value / calculatedMax) * trackWidth : 0;
+      if (segmentWidth <= 0) return;
+      const key = seriesKeys[i];
+      const seriesLabel = legendLabels[i] ?? key;
+      svg += `<rect class="bar-fill chart-color-${palette.position.get(key)} chart-series-${slugify(key)}" x="${round(x)}" y="${round(y)}" `;
+      svg += `width="${round(segmentWidth)}" height="${barHeight}" fill="${palette.fill.get(key)}">`;
+      svg += `<title>${escapeHtml(`${seriesLabel}: ${formatValue(value, format)}`)}</title></rect>`;
+      x += segmentWidth;
+    });
+
+    svg += svgText(trackX + trackWidth + 8, middle + 5, formatValue(row.total, format), { 'font-size': 14 });
+    y += barHeight + gap;
+  });
+  svg += `</g>`;
+
+  const summary = summarizeSeries('Stacked bar chart', data, { labelKey, seriesKeys, labels: legendLabels, format, stacked: true });
+  return renderSvgChart({ type: 'stacked-bar', id, title, width, height: y - gap, body: svg, theme, description, summary });
+}
@@ -0,0 +1,85 @@
+import { slugify, getLabelKey, getSeriesNames, escapeHtml } from '../utils.js';
+import {
+  assignSvgColors, defaultWidth, plotHeight, round, formatValue,
+  renderSvgTitle, renderSvgLegend, renderSvgYAxis, yAxisWidth, renderSvgXLabels, renderSvgChart
+} from './components.js';
+import { summarizeSeries } from '../accessibility.js';
+
+/**
+ * Render a stacked column chart (vertical) as SVG
+ * Takes the same config as renderStackedColumn
+ * @param {Object} config - Chart configuration
+ * @param {number} [config.width] - SVG width in pixels (default: 640)
+ * @returns {string} - SVG string
+ */
+export function renderStackedColumnSvg(config) {
+  const { title, subtitle, data, theme, colors, description, max, min, legend, format, id, rotateLabels, width = defaultWidth, label: labelColumn, series, warn } = config;
+
+  if (!data || data.length === 0) {
+    return `<!-- Stacked column chart: no data provided -->`;
+  }
+
+  const labelKey = getLabelKey(data, labelColumn);
+  const seriesKeys = getSeriesNames(data, series, labelKey);
+  const palette = assignSvgColors(seriesKeys, theme, colors, warn);
+  const legendLabels = legend ?? seriesKeys;
+
+  const rows = data.map(row => seriesKeys.map(key => {
+    const val = row[key];
+    return typeof val === 'number' ? val : parseFloat(val) || 0;
+  }));
+
+  // Positives stack up from zero, negatives stack down from zero
+  const maxPositiveStack = Math.max(0, ...rows.map(values => values.filter(v => v >= 0).reduce((sum, v) => sum + v, 0)));
+  const minNegativeStack = Math.min(0, ...rows.map(values => values.filter(v => v < 0).reduce((sum, v) => sum + v, 0)));
+  const hasNegativeY = minNegativeStack < 0 || min < 0;
+  const maxValue = max ?? maxPositiveStack;
+  const minValue = hasNegativeY ? (min ?? minNegativeStack) : 0;
+  const range = maxValue - minValue;
+
+  const header = renderSvgTitle(title, subtitle);
+  let svg = header.svg;
+  let top = header.height;
+
+  const items = seriesKeys.map((key, i) => ({ key, label: legendLabels[i] ?? key, color: palette.fill.get(key), position: palette.position.get(key) }));
+  const legendBlock = renderSvgLegend(items, { y: top, width });
+  svg += legendBlock.svg;
+  top += legendBlock.height + 6;
+
+  const scale = value => top + (range > 0 ? (maxValue - value) / range : 1) * plotHeight;
+  const ticks = [maxValue, hasNegativeY ? 0 : Math.round(maxValue / 2), hasNegativeY ? minValue : 0];
+  const left = yAxisWidth(ticks, format);
+  svg += renderSvgYAxis(ticks, { scale, left, right: width, format });
+
+  const band = (width - left) / data.length;
+  const columnWidth = Math.min(band * 0.6, 40);
+
+  svg += `<g class="chart-columns">`;
+  rows.forEach((values, colIndex) => {
+    const x = left + band * colIndex + (band - columnWidth) / 2;
+    let positive = 0;
+    let negative = 0;
+    values.forEach((value, i) => {
+      if (value === 0) return;
+      const start = value > 0 ? positive : negative;
+      const end = start + value;
+      if (value > 0) positive = end; else negative = end;
+      const y = Math.min(scale(start), scale(end));
+      const height = Math.abs(scale(start) - scale(end));
+      const key = seriesKeys[i];
+      const seriesLabel = legendLabels[i] ?? key;
+      svg += `<rect class="column-segment chart-color-${palette.position.get(key)} chart-series-${slugify(key)}" x="${round(x)}" y="${round(y)}" `;
+      svg += `width="${round(columnWidth)}" height="${round(height)}" fill="${palette.fill.get(key)}">`;
+      svg += `<title>${escapeHtml(`${seriesLabel}: ${formatValue(value, format)}`)}</title></rect>`;
+    });
+  });
+  svg += `</g>`;
+
+  const labels = renderSvgXLabels(data.map(row => String(row[labelKey] ?? '')), {
+    left, band, y: top + plotHeight, rotate: rotateLabels
+  });
+  svg += labels.svg;
+
+  const summary = summarizeSeries('Stacked column chart', data, { labelKey, seriesKeys, labels: legendLabels, format, stacked: true });
+  return renderSvgChart({ type: 'stacked-column', id, title, width, height: top + plotHeight + labels.height, body: svg, theme, description, summary });
+}
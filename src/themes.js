@@ -0,0 +1,125 @@
+/**
+ * Default palette, matching --chart-color-1 to --chart-color-12 in uncharted-core.css
+ */
+const defaultPalette = [
+  '#2196f3', '#4caf50', '#ff7043', '#ffc107', '#009688', '#9c27b0',
+  '#e91e63', '#3f51b5', '#f44336', '#00bcd4', '#cddc39', '#78909c'
+];
+
+/**
+ * Built-in themes, mirroring the .chart-theme-{name} rules in uncharted-themes.css
+ * palette: series colors (replaces --chart-color-N); text: text color, or undefined to keep the page's
+ * Order matters: as in the stylesheet, a later theme's palette wins when a chart combines themes.
+ * SVG and inline-style output use these values directly; `auto` can't follow media queries there, so it keeps the light palette.
+ */
+export const themes = {
+  light: {
+    palette: defaultPalette,
+    text: '#1f1f1f'
+  },
+  dark: {
+    palette: [
+      '#64b5f6', '#81c784', '#ff8a65', '#ffd54f', '#4db6ac', '#ba68c8',
+      '#f06292', '#7986cb', '#e57373', '#4dd0e1', '#dce775', '#90a4ae'
+    ],
+    text: '#ececec'
+  },
+  auto: {
+    palette: defaultPalette
+  },
+  'high-contrast': {
+    palette: [
+      '#0a3d91', '#b34700', '#006b3c', '#a3004d', '#4b0082', '#005f73',
+      '#7a4a00', '#c00000', '#1f1f1f', '#00688b', '#5c5c00', '#6b2d8f'
+    ],
+    text: '#000000'
+  },
+  // Okabe & Ito (2008), distinguishable with every common form of color blindness
+  'okabe-ito': {
+    palette: ['#e69f00', '#56b4e9', '#009e73', '#f0e442', '#0072b2', '#d55e00', '#cc79a7', '#000000']
+  },
+  // Eight steps of matplotlib's viridis: perceptually uniform, ordered dark to light
+  viridis: {
+    palette: ['#440154', '#46327e', '#365c8d', '#277f8e', '#1fa187', '#4ac16d', '#a0da39', '#fde725']
+  }
+};
+
+/**
+ * Normalize a chart's `theme:` setting
+ * A list combines themes, e.g. [dark, okabe-ito] for the Okabe-Ito palette on a dark page
+ * @param {string|string[]} [theme] - Theme name or list of names
+ * @param {Function} [warn] - Called with a message for each unknown theme
+ * @returns {string[]} - Known theme names, in order
+ */
+export function resolveTheme(theme, warn = () => {}) {
+  if (theme == null || theme === false) return [];
+  return [].concat(theme).filter(name => {
+    if (themes[name]) return true;
+    warn(`unknown theme "${name}"; expected one of ${Object.keys(themes).join(', ')}`);
+    return false;
+  });
+}
+
+/**
+ * Check a chart's `colors:` map, merged over the site-wide one
+ * Values are a palette position (1-12) or a CSS color; a color can't contain characters that would end
+ * the custom property or the style attribute it's written into
+ * @param {Object} [colors] - Map of series name, donut label or Sankey node to a palette position or CSS color
+ * @param {Function} [warn] - Called with a message for each invalid entry
+ * @returns {Object} - Valid entries
+ */
+export function resolveColors(colors, warn = () => {}) {
+  const valid = {};
+  Object.entries(colors ?? {}).forEach(([name, value]) => {
+    const position = Number.isInteger(value) && value >= 1 && value <= defaultPalette.length;
+    const color = typeof value === 'string' && value.trim() !== '' && !/[;{}<>"]/.test(value);
+    if (position || color) {
+      valid[name] = typeof value === 'string' ? value.trim() : value;
+    } else {
+      warn(`invalid color ${JSON.stringify(value)} for "${name}"; expected a palette position (1-${defaultPalette.length}) or a CSS color`);
+    }
+  });
+  return valid;
+}
+
+/**
+ * Get the theme whose palette a list of themes uses
+ * @param {string[]} [names] - Theme names (see resolveTheme)
+ * @returns {string|undefined} - Theme name, or undefined for the default palette
+ */
+export function paletteTheme(names = []) {
+  return Object.keys(themes).filter(key => names.includes(key) && themes[key].palette).at(-1);
+}
+
+/**
+ * Get the series palette for a list of themes
+ * Okabe-Ito and Viridis have eight colors; positions 9-12 repeat their first four.
+ * @param {string[]} [names] - Theme names (see resolveTheme)
+ * @returns {string[]} - Hex colors
+ */
+export function themePalette(names = []) {
+  const name = paletteTheme(names);
+  return name ? themes[name].palette : defaultPalette;
+}
+
+/**
+ * Get the text color for a list of themes
+ * @param {string[]} [names] - Theme names (see resolveTheme)
+ * @returns {string|undefined} - Hex color, or undefined to inherit the page's text color
+ */
+export function themeText(names = []) {
+  const name = Object.keys(themes).filter(key => names.includes(key) && themes[key].text).at(-1);
+  return name ? themes[name].text : undefined;
+}
+
+/**
+ * Get the theme names a rendered chart carries in its chart-theme-{name} classes
+ * @param {string[]} classes - Figure classes
+ * @returns {string[]} - Theme names, in order
+ */
+export function themesFromClasses(classes) {
+  return classes
+    .filter(name => name.startsWith('chart-theme-'))
+    .map(name => name.slice('chart-theme-'.length))
+    .filter(name => themes[name]);
+}
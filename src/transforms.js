@@ -0,0 +1,314 @@
+import { computeColumns } from './compute.js';
+import { logWarning } from './utils.js';
+
+/**
+ * Comparison operators available to filter steps
+ */
+const operators = {
+  '=': (a, b) => a == b,
+  '==': (a, b) => a == b,
+  '!=': (a, b) => a != b,
+  '>': (a, b) => a != null && a > b,
+  '>=': (a, b) => a != null && a >= b,
+  '<': (a, b) => a != null && a < b,
+  '<=': (a, b) => a != null && a <= b,
+  'in': (a, b) => toArray(b).some(v => v == a),
+  'not in': (a, b) => !toArray(b).some(v => v == a),
+  'contains': (a, b) => String(a ?? '').toLowerCase().includes(String(b).toLowerCase())
+};
+
+/**
+ * Wrap a single value in an array
+ * @param {*} value - Value or array of values
+ * @returns {Array} - Array of values (empty for null/undefined)
+ */
+function toArray(value) {
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Check whether a value counts as numeric for aggregation
+ * @param {*} value - Cell value
+ * @returns {boolean} - True for finite numbers
+ */
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Get numeric columns from rows (columns holding at least one number)
+ * @param {Object[]} rows - Array of row objects
+ * @param {string[]} [exclude] - Column names to leave out
+ * @returns {string[]} - Numeric column names in column order
+ */
+function getNumericKeys(rows, exclude = []) {
+  if (rows.length === 0) return [];
+  return Object.keys(rows[0]).filter(key =>
+    !exclude.includes(key) && rows.some(row => isNumber(row[key]))
+  );
+}
+
+/**
+ * Sum numeric values, ignoring gaps
+ * @param {Array} values - Cell values
+ * @returns {number|null} - Sum, or null if there are no numeric values
+ */
+function sum(values) {
+  const nums = values.filter(isNumber);
+  return nums.length > 0 ? nums.reduce((total, v) => total + v, 0) : null;
+}
+
+/**
+ * Average numeric values, ignoring gaps
+ * @param {Array} values - Cell values
+ * @returns {number|null} - Mean, or null if there are no numeric values
+ */
+function avg(values) {
+  const nums = values.filter(isNumber);
+  return nums.length > 0 ? sum(nums) / nums.length : null;
+}
+
+/**
+ * Read the row count of a limit or top step
+ * @param {*} count - Count from the step (a number, or a numeric string from YAML or front matter)
+ * @returns {number} - Row count
+ */
+function rowCount(count) {
+  const number = Number(count);
+  if (count == null || count === '' || !Number.isInteger(number) || number < 0) {
+    throw new Error(`count must be a whole number of rows, got ${JSON.stringify(count) ?? 'nothing'}`);
+  }
+  return number;
+}
+
+/**
+ * Compare two cell values for sorting (numbers numerically, others as strings, gaps last)
+ * Gaps stay last in descending order too; only comparisons between two values are reversed.
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @param {string} [order] - 'asc' or 'desc' (default: 'asc')
+ * @returns {number} - Sort order
+ */
+function compareValues(a, b, order = 'asc') {
+  const aMissing = a == null || a === '';
+  const bMissing = b == null || b === '';
+  if (aMissing || bMissing) return aMissing - bMissing;
+  const result = isNumber(a) && isNumber(b)
+    ? a - b
+    : String(a).localeCompare(String(b), undefined, { numeric: true });
+  return order === 'desc' ? -result : result;
+}
+
+/**
+ * Keep rows matching one or more column conditions (all must match)
+ * @param {Object[]} rows - Array of row objects
+ * @param {Object|Object[]} conditions - { column, op, value } or a list of them (op defaults to '=')
+ * @returns {Object[]} - Filtered rows
+ */
+function filter(rows, conditions) {
+  const checks = toArray(conditions).map(({ column, op = '=', value }) => {
+    const compare = operators[op];
+    if (!compare) {
+      throw new Error(`unknown filter operator "${op}" (expected one of ${Object.keys(operators).join(', ')})`);
+    }
+    return row => compare(row[column], value);
+  });
+  return rows.filter(row => checks.every(check => check(row)));
+}
+
+/**
+ * Sort rows by one or more columns
+ * @param {Object[]} rows - Array of row objects
+ * @param {string|Object|Array} spec - Column name, { column, order }, or a list of them (order: 'asc' or 'desc')
+ * @returns {Object[]} - Sorted rows
+ */
+function sort(rows, spec) {
+  const keys = toArray(spec).map(item =>
+    typeof item === 'string' ? { column: item, order: 'asc' } : { order: 'asc', ...item }
+  );
+  keys.forEach(({ column, order }) => {
+    if (order !== 'asc' && order !== 'desc') {
+      throw new Error(`unknown sort order "${order}" for column "${column}" (expected asc or desc)`);
+    }
+  });
+  return [...rows].sort((a, b) => {
+    for (const { column, order } of keys) {
+      const result = compareValues(a[column], b[column], order);
+      if (result !== 0) return result;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Keep the first N rows
+ * @param {Object[]} rows - Array of row objects
+ * @param {number|Object} spec - Row count, or { count }
+ * @returns {Object[]} - First N rows
+ */
+function limit(rows, spec) {
+  const count = rowCount(typeof spec === 'object' ? spec?.count : spec);
+  return rows.slice(0, count);
+}
+
+/**
+ * Keep the N largest rows, optionally rolling the rest into an "Other" row
+ * @param {Object[]} rows - Array of row objects
+ * @param {Object} spec - Step options
+ * @param {number} spec.count - Number of rows to keep
+ * @param {string} [spec.by] - Column to rank by (defaults to the sum of all numeric columns)
+ * @param {boolean|string} [spec.other] - Add a row summing the remainder (true for "Other", or a custom label)
+ * @returns {Object[]} - Top rows, plus the "Other" row when requested
+ */
+function top(rows, spec) {
+  const { count: countValue, by, other } = typeof spec === 'object' ? spec ?? {} : { count: spec };
+  const count = rowCount(countValue);
+  if (rows.length === 0) return rows;
+
+  const labelKey = Object.keys(rows[0])[0];
+  const numericKeys = getNumericKeys(rows, [labelKey]);
+  const rank = by
+    ? row => (isNumber(row[by]) ? row[by] : -Infinity)
+    : row => sum(numericKeys.map(key => row[key])) ?? -Infinity;
+
+  const ranked = [...rows].sort((a, b) => rank(b) - rank(a));
+  const kept = ranked.slice(0, count);
+  const rest = ranked.slice(count);
+
+  if (!other || rest.length === 0) return kept;
+
+  const otherRow = {};
+  Object.keys(rows[0]).forEach(key => {
+    if (key === labelKey) {
+      otherRow[key] = typeof other === 'string' ? other : 'Other';
+    } else {
+      otherRow[key] = numericKeys.includes(key) ? sum(rest.map(row => row[key])) : '';
+    }
+  });
+  return [...kept, otherRow];
+}
+
+/**
+ * Group rows by a column and aggregate the rest
+ * @param {Object[]} rows - Array of row objects
+ * @param {string|Object} spec - Column name, or step options
+ * @param {string} spec.column - Column to group by (becomes the first column)
+ * @param {string|string[]} [spec.sum] - Columns to sum
+ * @param {string|string[]} [spec.avg] - Columns to average
+ * @param {boolean|string} [spec.count] - Add a row count column (true for "count", or a custom name)
+ * @returns {Object[]} - One row per group, in order of first appearance
+ */
+function groupBy(rows, spec) {
+  const options = typeof spec === 'string' ? { column: spec } : spec;
+  const { column } = options;
+  let sumKeys = toArray(options.sum);
+  const avgKeys = toArray(options.avg);
+  const countKey = options.count === true ? 'count' : options.count;
+
+  // With no aggregates given, sum every numeric column
+  if (sumKeys.length === 0 && avgKeys.length === 0 && !countKey) {
+    sumKeys = getNumericKeys(rows, [column]);
+  }
+
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = row[column];
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+
+  return Array.from(groups, ([key, groupRows]) => {
+    const result = { [column]: key };
+    sumKeys.forEach(k => { result[k] = sum(groupRows.map(row => row[k])); });
+    avgKeys.forEach(k => { result[k] = avg(groupRows.map(row => row[k])); });
+    if (countKey) result[countKey] = groupRows.length;
+    return result;
+  });
+}
+
+/**
+ * Pivot long-format rows into wide format
+ * Duplicate index/column pairs are summed; missing pairs become gaps (null)
+ * @param {Object[]} rows - Array of row objects
+ * @param {Object} spec - Step options
+ * @param {string} spec.index - Column whose values become row labels
+ * @param {string} spec.columns - Column whose values become new column names
+ * @param {string} spec.values - Column holding the values
+ * @returns {Object[]} - Wide-format rows
+ */
+function pivot(rows, spec) {
+  const { index, columns, values } = spec;
+  const columnNames = Array.from(new Set(rows.map(row => String(row[columns]))));
+  const table = new Map();
+
+  rows.forEach(row => {
+    const key = row[index];
+    if (!table.has(key)) {
+      const wide = { [index]: key };
+      columnNames.forEach(name => { wide[name] = null; });
+      table.set(key, wide);
+    }
+    const wide = table.get(key);
+    const name = String(row[columns]);
+    const value = row[values];
+    if (isNumber(value)) {
+      wide[name] = (wide[name] ?? 0) + value;
+    } else if (wide[name] === null && value != null && value !== '') {
+      wide[name] = value;
+    }
+  });
+
+  return Array.from(table.values());
+}
+
+/**
+ * Available transform steps, keyed by the name used in chart config
+ */
+export const transforms = {
+  filter,
+  sort,
+  limit,
+  top,
+  groupBy,
+  pivot,
+  compute: computeColumns
+};
+
+/**
+ * Apply a `transform:` pipeline to chart data
+ * Each step is an object with a single key naming the transform, e.g.
+ * [{ filter: { column: 'region', value: 'West' } }, { sort: { column: 'revenue', order: 'desc' } }]
+ * @param {Object[]} rows - Array of row objects
+ * @param {Object|Object[]} steps - Transform step or list of steps
+ * @param {Object} [options] - Pipeline options
+ * @param {string} [options.source] - Name used in warnings (chart id)
+ * @param {Function} [options.warn] - Warning handler (default: log to the console)
+ * @returns {Object[]} - Transformed rows
+ */
+export function applyTransforms(rows, steps, options = {}) {
+  const { warn = logWarning } = options;
+  const where = options.source ? ` in ${options.source}` : '';
+
+  return toArray(steps).reduce((data, step, index) => {
+    const [name, ...extra] = Object.keys(step ?? {});
+    const transform = transforms[name];
+
+    if (!transform || extra.length > 0) {
+      warn(`Skipping transform step ${index + 1}${where}: expected one of ${Object.keys(transforms).join(', ')}`);
+      return data;
+    }
+
+    // Collect step warnings so a throwing handler isn't mistaken for a failed step
+    const messages = [];
+    let result;
+    try {
+      result = transform(data, step[name], { source: options.source, warn: message => messages.push(message) });
+    } catch (err) {
+      warn(`Skipping transform step ${index + 1} (${name})${where}: ${err.message}`);
+      result = data;
+    }
+    messages.forEach(warn);
+    return result;
+  }, rows);
+}
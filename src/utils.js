@@ -25,33 +25,67 @@ export function calculatePercentages(values, max) {
 }
 
 /**
- * Get the label key (first column name) from CSV data
+ * Log a build warning
+ * @param {string} message - Warning text
+ */
+export function logWarning(message) {
+  console.warn(`[uncharted] ${message}`);
+}
+
+/**
+ * Resolve a column by header name, falling back to a positional column
+ * Missing names are reported by validateChartData before rendering
  * @param {Object[]} data - Array of data objects
- * @returns {string|undefined} - The first column name, or undefined if no data
+ * @param {string} [name] - Column name from chart config
+ * @param {number} fallbackIndex - Column position to use when no name is given
+ * @returns {string|undefined} - The resolved column name, or undefined if no data
  */
-export function getLabelKey(data) {
+export function resolveColumn(data, name, fallbackIndex) {
   if (!data || data.length === 0) return undefined;
-  return Object.keys(data[0])[0];
+  const keys = Object.keys(data[0]);
+  if (name == null) return keys[fallbackIndex];
+  return keys.includes(String(name)) ? String(name) : keys[fallbackIndex];
 }
 
 /**
- * Get the value key (second column name) from CSV data
+ * Get the label key from CSV data
  * @param {Object[]} data - Array of data objects
- * @returns {string|undefined} - The second column name, or undefined if no data
+ * @param {string} [label] - Column name from chart config (defaults to the first column)
+ * @returns {string|undefined} - The label column name, or undefined if no data
  */
-export function getValueKey(data) {
-  if (!data || data.length === 0) return undefined;
-  return Object.keys(data[0])[1];
+export function getLabelKey(data, label) {
+  return resolveColumn(data, label, 0);
+}
+
+/**
+ * Get the value key from CSV data
+ * @param {Object[]} data - Array of data objects
+ * @param {string} [value] - Column name from chart config (defaults to the second column)
+ * @returns {string|undefined} - The value column name, or undefined if no data
+ */
+export function getValueKey(data, value) {
+  return resolveColumn(data, value, 1);
 }
 
 /**
- * Extract series names from CSV data (all columns except the first)
+ * Extract series names from CSV data
+ * Named series are returned in the order given (missing ones are dropped); otherwise every column except the label
+ * column is a series (the first column when no label is named)
  * @param {Object[]} data - Array of data objects
+ * @param {string|string[]} [series] - Column name(s) from chart config
+ * @param {string} [labelKey] - Label column to exclude from positional series
  * @returns {string[]} - Array of series names
  */
-export function getSeriesNames(data) {
+export function getSeriesNames(data, series, labelKey) {
   if (!data || data.length === 0) return [];
-  return Object.keys(data[0]).slice(1);
+  const keys = Object.keys(data[0]);
+
+  if (series != null) {
+    const names = (Array.isArray(series) ? series : [series]).map(String);
+    return names.filter(name => keys.includes(name));
+  }
+
+  return labelKey ? keys.filter(key => key !== labelKey) : keys.slice(1);
 }
 
 /**
@@ -82,3 +116,43 @@ export function renderDownloadLink(url, label) {
   return `<a href="${escapeHtml(url)}" class="chart-download" download>${escapeHtml(text)}</a>`;
 }
 
+// Counters for uniqueId, per prefix; withIdScope swaps in the counters of the page being rendered
+let idCounts = new Map();
+
+/**
+ * Make an element id that no other chart on the page shares
+ * Ids count up per prefix, so a chart rendered twice on a page (e.g. with another theme) gets
+ * "-1" and then "-2", and the same page gets the same ids in every build.
+ * @param {string} prefix - Id prefix, usually with the chart id, e.g. "sankey-grad-budget"
+ * @returns {string} - Id, e.g. "sankey-grad-budget-2"
+ */
+export function uniqueId(prefix) {
+  const count = (idCounts.get(prefix) ?? 0) + 1;
+  idCounts.set(prefix, count);
+  return `${prefix}-${count}`;
+}
+
+/**
+ * Run a render with its own uniqueId counters
+ * @param {Map} counts - Counters shared by the charts on one page (a new Map starts from 1)
+ * @param {Function} render - Synchronous render function
+ * @returns {*} - The render function's result
+ */
+export function withIdScope(counts, render) {
+  const previous = idCounts;
+  idCounts = counts;
+  try {
+    return render();
+  } finally {
+    idCounts = previous;
+  }
+}
+
+/**
+ * Check whether a value is a plain object (not an array, date or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for plain objects
+ */
+export function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]';
+}
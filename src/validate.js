@@ -0,0 +1,228 @@
+/**
+ * Keys accepted by every chart type, with their expected value types
+ */
+const commonKeys = {
+  type: 'string',
+  extends: 'string',
+  title: 'string',
+  subtitle: 'string',
+  file: ['string', 'array'],
+  data: 'array',
+  dataSource: ['string', 'object'],
+  fileFormat: 'string',
+  format: 'object',
+  delimiter: 'string',
+  comment: ['string', 'boolean'],
+  columns: 'object',
+  locale: 'string',
+  join: 'string',
+  compute: 'object',
+  transform: ['array', 'object'],
+  legend: 'array',
+  animate: 'boolean',
+  downloadData: ['boolean', 'string'],
+  output: 'string',
+  inlineStyles: 'boolean',
+  theme: ['string', 'array'],
+  colors: 'object',
+  description: 'string',
+  dataTable: ['boolean', 'string'],
+  tooltips: 'boolean',
+  interactive: 'boolean',
+  width: 'number'
+};
+
+/**
+ * Per-type schemas (custom chart types can register their own in the same shape)
+ * keys: type-specific keys and their value types (override commonKeys)
+ * columns: config keys that name data columns
+ * minColumns: columns the data needs when read by position
+ * unsupported: common keys the type ignores, reported when a chart sets them
+ */
+export const chartSchemas = {
+  'stacked-bar': {
+    keys: { max: 'number', label: 'string', series: ['string', 'array'] },
+    columns: ['label', 'series'],
+    minColumns: 2
+  },
+  'stacked-column': {
+    keys: { max: 'number', min: 'number', rotateLabels: 'boolean', label: 'string', series: ['string', 'array'] },
+    columns: ['label', 'series'],
+    minColumns: 2
+  },
+  'donut': {
+    keys: { center: 'object', showPercentages: 'boolean', label: 'string', value: 'string', series: ['string', 'array'] },
+    columns: ['label', 'value', 'series'],
+    minColumns: 2,
+    // Segments are stops in one conic gradient, so there are no points to focus or series to toggle
+    unsupported: ['tooltips', 'interactive']
+  },
+  'dot': {
+    keys: { max: 'number', min: 'number', rotateLabels: 'boolean', dots: 'boolean', label: 'string', series: ['string', 'array'] },
+    columns: ['label', 'series'],
+    minColumns: 2
+  },
+  'line': {
+    keys: { max: 'number', min: 'number', rotateLabels: 'boolean', dots: 'boolean', label: 'string', series: ['string', 'array'] },
+    columns: ['label', 'series'],
+    minColumns: 2
+  },
+  'scatter': {
+    keys: {
+      maxX: 'number', maxY: 'number', minX: 'number', minY: 'number', titleX: 'string', titleY: 'string',
+      legend: ['array', 'boolean'], label: 'string', x: 'string', y: 'string', series: 'string'
+    },
+    columns: ['label', 'x', 'y', 'series'],
+    minColumns: 3
+  },
+  'sankey': {
+    keys: {
+      nodeWidth: 'number', nodePadding: 'number', endLabelsOutside: 'boolean', proportional: 'boolean',
+      legend: 'boolean', source: 'string', target: 'string', value: 'string'
+    },
+    columns: ['source', 'target', 'value'],
+    minColumns: 3
+  }
+};
+
+/**
+ * Get the schema type name of a value
+ * @param {*} value - Config value
+ * @returns {string} - 'array', 'null', or the typeof name
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of single-character edits
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Find the closest candidate to a misspelled name
+ * @param {string} name - Name as written
+ * @param {string[]} candidates - Valid names
+ * @returns {string|undefined} - Closest candidate, or undefined if none is close enough
+ */
+export function suggest(name, candidates) {
+  const input = String(name).toLowerCase();
+  const limit = Math.max(1, Math.floor(input.length / 3));
+  let best;
+  let bestDistance = Infinity;
+  candidates.forEach(candidate => {
+    const distance = editDistance(input, String(candidate).toLowerCase());
+    if (distance <= limit && distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+/**
+ * Format a " (did you mean ...?)" hint
+ * @param {string} name - Name as written
+ * @param {string[]} candidates - Valid names
+ * @returns {string} - Hint text, or an empty string
+ */
+function hint(name, candidates) {
+  const match = suggest(name, candidates);
+  return match ? ` (did you mean "${match}"?)` : '';
+}
+
+/**
+ * Check a chart config against its type's schema
+ * @param {Object} config - Chart config
+ * @param {Object} [options] - Validation options
+ * @param {string[]} [options.types] - Registered chart types (default: the types in schemas)
+ * @param {Object} [options.schemas] - Map of chart type to schema (default: chartSchemas)
+ * @returns {string[]} - Problems found (empty when the config is valid)
+ */
+export function validateChartConfig(config, options = {}) {
+  const schemas = options.schemas ?? chartSchemas;
+  const types = options.types ?? Object.keys(schemas);
+
+  if (typeOf(config) !== 'object') {
+    return [`config should be an object, got ${typeOf(config)}`];
+  }
+  if (!config.type) {
+    return ['no type specified'];
+  }
+  if (!types.includes(config.type)) {
+    return [`unknown chart type "${config.type}"${hint(config.type, types)}; expected one of ${types.join(', ')}`];
+  }
+
+  // Types registered without a schema only get the checks above
+  const schema = schemas[config.type];
+  if (!schema) return [];
+
+  const problems = [];
+  const allowed = { ...commonKeys, ...schema.keys };
+
+  Object.entries(config).forEach(([key, value]) => {
+    if (schema.unsupported?.includes(key)) {
+      problems.push(`"${key}" is not supported for ${config.type} charts`);
+      return;
+    }
+    if (!(key in allowed)) {
+      problems.push(`unknown key "${key}" for ${config.type} charts${hint(key, Object.keys(allowed))}`);
+      return;
+    }
+    const expected = [].concat(allowed[key]);
+    const actual = typeOf(value);
+    if (value != null && !expected.includes(actual)) {
+      problems.push(`"${key}" should be ${expected.join(' or ')}, got ${actual}`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Check loaded chart data against the columns its config needs
+ * @param {Object[]} data - Array of row objects
+ * @param {Object} config - Chart config
+ * @param {Object} [options] - Validation options
+ * @param {Object} [options.schemas] - Map of chart type to schema (default: chartSchemas)
+ * @returns {string[]} - Problems found (empty when the data fits the config)
+ */
+export function validateChartData(data, config, options = {}) {
+  const schema = (options.schemas ?? chartSchemas)[config.type];
+  if (!schema || !Array.isArray(data) || data.length === 0) return [];
+
+  const problems = [];
+  const keys = Object.keys(data[0]);
+
+  if (keys.length < (schema.minColumns ?? 0)) {
+    problems.push(`${config.type} charts need at least ${schema.minColumns} columns, got ${keys.length} (${keys.join(', ')})`);
+  }
+
+  (schema.columns ?? []).forEach(option => {
+    const value = config[option];
+    if (value == null) return;
+    [].concat(value).map(String).forEach(name => {
+      if (!keys.includes(name)) {
+        problems.push(`column "${name}" (${option}) not found${hint(name, keys)}; columns are ${keys.join(', ')}`);
+      }
+    });
+  });
+
+  return problems;
+}
@@ -6,7 +6,13 @@ export default function(eleventyConfig) {
     dataDir: '_data',
     animate: true,
     dataPassthrough: true,
-    downloadData: true
+    downloadData: true,
+    defaults: {
+      sankey: {
+        proportional: true,
+        format: { compact: true, currency: { symbol: '$' } }
+      }
+    }
   });
 
   return {
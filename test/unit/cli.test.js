@@ -0,0 +1,65 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const bin = fileURLToPath(new URL('../../bin/uncharted.js', import.meta.url));
+
+// Scratch directory for chart configs and data files
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uncharted-cli-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+fs.writeFileSync(path.join(dir, 'share.csv'), 'label,value\nA,1\nB,3\n');
+fs.writeFileSync(path.join(dir, 'share.yaml'), 'type: donut\ntitle: Share\nfile: share.csv\n');
+fs.writeFileSync(path.join(dir, 'charts.json'), JSON.stringify({
+  share: { type: 'donut', file: 'share.csv' },
+  wide: { extends: 'share', title: 'Wide' },
+  broken: { type: 'donut', file: 'missing.csv' }
+}));
+
+/**
+ * Run the CLI
+ * @param {string[]} args - Command-line arguments
+ * @returns {{ status: number, stdout: string, stderr: string }} - Exit code and output
+ */
+function run(args) {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [bin, ...args], { encoding: 'utf-8', timeout: 30000 });
+  return { status, stdout, stderr };
+}
+
+test('a single-chart file renders with file: paths relative to it', () => {
+  const { status, stdout } = run([path.join(dir, 'share.yaml')]);
+  assert.equal(status, 0);
+  assert.match(stdout, /^<figure class="chart chart-donut chart-share"/);
+  assert.match(stdout, /aria-label="Share"/);
+});
+
+test('--chart picks one chart from a map, which can extend the others', () => {
+  const { status, stdout } = run([path.join(dir, 'charts.json'), '--chart', 'wide', '--svg']);
+  assert.equal(status, 0);
+  assert.match(stdout, /^<svg /);
+  assert.match(stdout, />Wide</);
+});
+
+test('--csv replaces the chart data', () => {
+  fs.writeFileSync(path.join(dir, 'other.csv'), 'label,value\nZ,5\n');
+  const { stdout } = run([path.join(dir, 'charts.json'), '-c', 'share', '--csv', path.join(dir, 'other.csv')]);
+  assert.match(stdout, /class="legend-label">Z</);
+  assert.doesNotMatch(stdout, /class="legend-label">A</);
+});
+
+test('failed charts and unknown ids set the exit code', () => {
+  const broken = run([path.join(dir, 'charts.json'), '--chart', 'broken']);
+  assert.equal(broken.status, 1);
+  assert.match(broken.stdout, /<!-- Chart "broken" has no data -->/);
+
+  const unknown = run([path.join(dir, 'charts.json'), '--chart', 'nope']);
+  assert.equal(unknown.status, 1);
+  assert.match(unknown.stderr, /Chart "nope" not found/);
+
+  const twoCharts = run([path.join(dir, 'charts.json'), '--csv', path.join(dir, 'share.csv')]);
+  assert.equal(twoCharts.status, 1);
+  assert.match(twoCharts.stderr, /--csv needs a single chart/);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseNumber, parseDate, typeColumns, columnUnits, unitFormat } from '../../src/coerce.js';
+
+test('parseNumber reads currency, percentages, separators and accounting negatives', () => {
+  assert.equal(parseNumber('$1,200'), 1200);
+  assert.equal(parseNumber('45%'), 45);
+  assert.equal(parseNumber('(3.5)'), -3.5);
+  assert.equal(parseNumber('−12'), -12);
+  assert.equal(parseNumber('1.5e3'), 1500);
+  assert.equal(parseNumber('1,20'), null);
+  assert.equal(parseNumber('n/a'), null);
+  assert.equal(parseNumber(''), null);
+});
+
+test('parseNumber follows the locale separators', () => {
+  assert.equal(parseNumber('1.200,5', 'de-DE'), 1200.5);
+  assert.equal(parseNumber('1 200,5', 'fr-FR'), 1200.5);
+  assert.equal(parseNumber('1,200.5', 'de-DE'), null);
+});
+
+test('parseDate normalizes ISO dates and rejects impossible ones', () => {
+  assert.equal(parseDate('2024-03-05'), '2024-03-05');
+  assert.equal(parseDate('2024-03-05T10:30:00Z'), '2024-03-05T10:30:00Z');
+  assert.equal(parseDate('2024-02-30'), null);
+  assert.equal(parseDate('March 5, 2024'), null);
+  assert.equal(parseDate('March 5, 2024', { loose: true }), '2024-03-05');
+  assert.equal(parseDate(new Date(Date.UTC(2024, 2, 5))), '2024-03-05');
+});
+
+test('a column becomes numeric only when every filled cell is a number', () => {
+  const rows = typeColumns([
+    { label: 'A', sales: '10', zip: '02134', mixed: '5' },
+    { label: 'B', sales: '', zip: '10001', mixed: 'n/a' }
+  ]);
+  assert.deepEqual(rows, [
+    { label: 'A', sales: 10, zip: '02134', mixed: '5' },
+    { label: 'B', sales: null, zip: '10001', mixed: 'n/a' }
+  ]);
+});
+
+test('zero-padded labels stay text', () => {
+  const rows = typeColumns([{ code: '007', value: '1' }, { code: '2024', value: '2' }]);
+  assert.deepEqual(rows.map(row => row.code), ['007', 2024]);
+});
+
+test('declared number columns turn unparseable cells into gaps with a warning', () => {
+  const warnings = [];
+  const rows = typeColumns([{ label: 'A', value: '1' }, { label: 'B', value: 'n/a' }], {
+    columns: { value: 'number' },
+    warn: message => warnings.push(message)
+  });
+  assert.deepEqual(rows.map(row => row.value), [1, null]);
+  assert.equal(warnings.length, 1);
+});
+
+test('a column keeps the unit its cells were written with', () => {
+  const rows = typeColumns([
+    { label: 'A', share: '45.5%', price: '$1,200', plain: '3' },
+    { label: 'B', share: '12%', price: '$80', plain: '4' }
+  ]);
+  assert.deepEqual(rows.map(row => row.share), [45.5, 12]);
+  assert.deepEqual(columnUnits(rows), {
+    share: { symbol: '%', position: 'suffix', decimals: 1 },
+    price: { symbol: '$', position: 'prefix', thousands: true }
+  });
+});
+
+test('unitFormat only applies a unit every column shares', () => {
+  assert.deepEqual(unitFormat({ share: { symbol: '%', position: 'suffix', decimals: 1 } }), {
+    currency: { symbol: '%', position: 'suffix' },
+    decimals: 1
+  });
+  assert.equal(unitFormat({ share: { symbol: '%', position: 'suffix' }, price: { symbol: '$', position: 'prefix' } }), undefined);
+  assert.equal(unitFormat({}), undefined);
+});
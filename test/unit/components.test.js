@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assignColors } from '../../src/components.js';
+
+test('series take palette positions in order', () => {
+  const { position, style } = assignColors(['a', 'b', 'c']);
+  assert.deepEqual(Object.fromEntries(position), { a: 1, b: 2, c: 3 });
+  assert.equal(style, '');
+});
+
+test('a mapped position is kept and skipped by the other series', () => {
+  const { position } = assignColors(['a', 'b', 'c'], { c: 1, a: 3 });
+  assert.deepEqual(Object.fromEntries(position), { a: 3, b: 2, c: 1 });
+});
+
+test('a CSS color gets a position of its own, redefined in the style', () => {
+  const { position, override, style } = assignColors(['a', 'b', 'c'], { b: '#123456', c: 1 });
+  assert.deepEqual(Object.fromEntries(position), { a: 2, b: 3, c: 1 });
+  assert.deepEqual(Object.fromEntries(override), { 3: '#123456' });
+  assert.equal(style, '--chart-color-3: #123456;');
+});
+
+test('colors for names not in the chart are ignored', () => {
+  const { position } = assignColors(['a', 'b'], { z: 1 });
+  assert.deepEqual(Object.fromEntries(position), { a: 1, b: 2 });
+});
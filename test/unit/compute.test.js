@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeColumns } from '../../src/compute.js';
+
+const rows = [
+  { revenue: 100, profit: 20 },
+  { revenue: 150, profit: 45 }
+];
+
+test('compute divides and subtracts across columns', () => {
+  const result = computeColumns(rows, { margin: 'profit / revenue', cost: 'revenue - profit' });
+  assert.deepEqual(result.map(row => row.margin), [0.2, 0.3]);
+  assert.deepEqual(result.map(row => row.cost), [80, 105]);
+});
+
+test('compute rejects inherited names as columns', () => {
+  const warnings = [];
+  const result = computeColumns(rows, { a: 'constructor', b: 'toString', c: '__proto__' }, { warn: message => warnings.push(message) });
+  assert.equal(warnings.length, 3);
+  warnings.forEach(message => assert.match(message, /unknown column/));
+  assert.deepEqual(Object.keys(result[0]), ['revenue', 'profit']);
+});
+
+test('compute rejects inherited names as functions', () => {
+  const warnings = [];
+  computeColumns(rows, { a: 'toString(revenue)' }, { warn: message => warnings.push(message) });
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /unknown function "toString"/);
+});
+
+test('function results that are not finite numbers become gaps', () => {
+  const result = computeColumns(rows, {
+    rounded: 'round(profit / revenue, 2)',
+    overflow: 'round(revenue, 400)',
+    root: 'sqrt(profit - revenue)',
+    empty: 'max()'
+  });
+  assert.deepEqual(result.map(row => row.rounded), [0.2, 0.3]);
+  assert.deepEqual(result.map(row => [row.overflow, row.root, row.empty]), [[null, null, null], [null, null, null]]);
+});
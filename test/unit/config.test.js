@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeConfig, resolveChartConfig } from '../../src/config.js';
+
+const charts = {
+  base: { type: 'stacked-column', animate: true, format: { decimals: 1, thousands: ',' }, legend: ['A', 'B'] },
+  sales: { extends: 'base', title: 'Sales', format: { decimals: 0 } },
+  loopA: { extends: 'loopB', title: 'A' },
+  loopB: { extends: 'loopA', theme: 'dark' },
+  self: { extends: 'self', title: 'Self' }
+};
+
+/**
+ * Resolve a chart from the fixtures, collecting warnings
+ * @param {Object|string} config - Chart config, or the id of a fixture chart
+ * @param {Object} [options] - Extra resolve options
+ * @returns {{ config: Object, warnings: string[] }} - Resolved config and warnings
+ */
+function resolve(config, options = {}) {
+  const warnings = [];
+  const id = typeof config === 'string' ? config : undefined;
+  const resolved = resolveChartConfig(id ? charts[id] : config, {
+    id,
+    lookup: chartId => charts[chartId],
+    warn: message => warnings.push(message),
+    ...options
+  });
+  return { config: resolved, warnings };
+}
+
+test('mergeConfig merges nested objects and replaces arrays and values', () => {
+  const base = { format: { decimals: 1, currency: { symbol: '$' } }, legend: ['A', 'B'], title: 'Base' };
+  const merged = mergeConfig(base, { format: { currency: { position: 'suffix' } }, legend: ['C'], title: null });
+  assert.deepEqual(merged, { format: { decimals: 1, currency: { symbol: '$', position: 'suffix' } }, legend: ['C'], title: null });
+  assert.deepEqual(base.format.currency, { symbol: '$' });
+  assert.deepEqual(mergeConfig({ a: 1 }), { a: 1 });
+});
+
+test('extends merges the parent under the chart\'s own keys', () => {
+  const { config, warnings } = resolve('sales');
+  assert.deepEqual(config, {
+    type: 'stacked-column',
+    animate: true,
+    format: { decimals: 0, thousands: ',' },
+    legend: ['A', 'B'],
+    title: 'Sales'
+  });
+  assert.deepEqual(warnings, []);
+});
+
+test('extends chains resolve from the root down', () => {
+  const { config } = resolve({ extends: 'sales', legend: ['Only'], animate: false });
+  assert.equal(config.title, 'Sales');
+  assert.equal(config.type, 'stacked-column');
+  assert.deepEqual(config.legend, ['Only']);
+  assert.equal(config.animate, false);
+  assert.equal('extends' in config, false);
+});
+
+test('circular and missing parents are reported and dropped', () => {
+  assert.deepEqual(resolve('loopA'), {
+    config: { theme: 'dark', title: 'A' },
+    warnings: ['Circular extends: loopA -> loopB -> loopA']
+  });
+  assert.deepEqual(resolve('self').warnings, ['Circular extends: self -> self']);
+  assert.deepEqual(resolve({ extends: 'nope', title: 'T' }), {
+    config: { title: 'T' },
+    warnings: ['Cannot extend chart "nope": not found']
+  });
+});
+
+test('type defaults sit under everything else', () => {
+  const defaults = { 'stacked-column': { rotateLabels: true, animate: false, format: { currency: { symbol: '€' } } } };
+  const { config } = resolve('sales', { defaults });
+  assert.equal(config.rotateLabels, true);
+  assert.equal(config.animate, true);
+  assert.deepEqual(config.format, { currency: { symbol: '€' }, decimals: 0, thousands: ',' });
+  assert.deepEqual(resolve({ type: 'donut' }, { defaults }).config, { type: 'donut' });
+});
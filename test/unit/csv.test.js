@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCSV, detectDelimiter } from '../../src/csv.js';
+
+test('quoted fields keep delimiters, escaped quotes and line breaks', () => {
+  const rows = parseCSV('name,note\n"Smith, J","said ""hi""\nthen left"\nLee,ok\n');
+  assert.deepEqual(rows, [
+    { name: 'Smith, J', note: 'said "hi"\nthen left' },
+    { name: 'Lee', note: 'ok' }
+  ]);
+});
+
+test('CRLF line endings and a byte order mark are handled', () => {
+  const rows = parseCSV('\uFEFFmonth,sales\r\nJan,10\r\nFeb,20\r\n');
+  assert.deepEqual(Object.keys(rows[0]), ['month', 'sales']);
+  assert.deepEqual(rows.map(row => row.sales), [10, 20]);
+});
+
+test('the delimiter is detected from the header row', () => {
+  assert.equal(detectDelimiter('a;b;c\n1;2;3'), ';');
+  assert.equal(detectDelimiter('a\tb\n1\t2'), '\t');
+  assert.equal(detectDelimiter('"a;b",c,d\n1,2,3'), ',');
+  assert.equal(detectDelimiter('# a;b;c\nx|y\n1|2'), '|');
+  assert.deepEqual(parseCSV('a;b\nx;2', { delimiter: 'auto' }), [{ a: 'x', b: 2 }]);
+});
+
+test('comment lines are skipped, with a custom prefix or none at all', () => {
+  assert.deepEqual(parseCSV('# source: survey\nlabel,value\nA,1\n# B,2\n'), [{ label: 'A', value: 1 }]);
+  assert.deepEqual(parseCSV('label,value\n// B,2\nA,1', { comment: '//' }), [{ label: 'A', value: 1 }]);
+  assert.deepEqual(parseCSV('label,value\n#1,2', { comment: false }), [{ label: '#1', value: 2 }]);
+});
+
+test('comment: true uses the # prefix rather than the text "true"', () => {
+  const rows = parseCSV('label,value\ntrue,1\n# note\nfalse,0', { comment: true });
+  assert.deepEqual(rows.map(row => row.label), ['true', 'false']);
+});
+
+test('the columns option overrides the detected types', () => {
+  const warnings = [];
+  const rows = parseCSV('label,zip,value\nA,02134,1\nB,10001,n/a', {
+    columns: { zip: 'string', value: 'number' },
+    warn: message => warnings.push(message)
+  });
+  assert.deepEqual(rows.map(row => row.zip), ['02134', '10001']);
+  assert.deepEqual(rows.map(row => row.value), [1, null]);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /Could not parse "n\/a" as number/);
+});
@@ -0,0 +1,188 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { resolveSource, loadData, loadJoinedData, joinRows, clearDataCache, detectFormat } from '../../src/data.js';
+import { columnUnits } from '../../src/coerce.js';
+
+// Scratch directory for data files the cache tests write and edit
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uncharted-data-'));
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const templateData = {
+  metrics: {
+    channels: { search: 40, social: 25 },
+    weekly: [{ week: 'W1', stats: { signups: 12 } }, { week: 'W2', stats: { signups: 18 } }],
+    name: 'Traffic',
+    total: 65
+  },
+  collections: { all: [{}, {}, {}], posts: [{}, {}], notes: [{}] }
+};
+
+/**
+ * Resolve a data source, collecting warnings
+ * @param {string|Object} source - Dotted path, or { from, map }
+ * @returns {{ rows: Object[], warnings: string[] }} - Rows and warnings
+ */
+function resolve(source) {
+  const warnings = [];
+  const rows = resolveSource(source, templateData, { warn: message => warnings.push(message) });
+  return { rows, warnings };
+}
+
+test('dataSource reads arrays and maps their items', () => {
+  const { rows } = resolve({ from: 'metrics.weekly', map: { week: 'week', signups: 'stats.signups' } });
+  assert.deepEqual(rows, [{ week: 'W1', signups: 12 }, { week: 'W2', signups: 18 }]);
+});
+
+test('dataSource turns a plain object into label/value rows', () => {
+  assert.deepEqual(resolve('metrics.channels').rows, [{ label: 'search', value: 40 }, { label: 'social', value: 25 }]);
+});
+
+test('dataSource counts collection items per tag, without the all collection', () => {
+  assert.deepEqual(resolve('collections').rows, [{ label: 'posts', value: 2 }, { label: 'notes', value: 1 }]);
+});
+
+test('dataSource rejects strings, numbers and other non-object values', () => {
+  for (const [path, kind] of [['metrics.name', 'string'], ['metrics.total', 'number']]) {
+    const { rows, warnings } = resolve(path);
+    assert.deepEqual(rows, []);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], new RegExp(`is a ${kind}; expected an array or an object`));
+  }
+});
+
+test('dataSource warns about a missing path', () => {
+  const { rows, warnings } = resolve('metrics.missing');
+  assert.deepEqual(rows, []);
+  assert.match(warnings[0], /not found/);
+});
+
+test('dataSource rejects Dates', () => {
+  const warnings = [];
+  const rows = resolveSource('when', { when: new Date(0) }, { warn: message => warnings.push(message) });
+  assert.deepEqual(rows, []);
+  assert.match(warnings[0], /is a Date/);
+});
+
+test('an edited data file is read again', () => {
+  clearDataCache();
+  const file = path.join(dataDir, 'edited.csv');
+  fs.writeFileSync(file, 'label,value\nA,1\n');
+  assert.deepEqual(loadData('edited.csv', dataDir), [{ label: 'A', value: 1 }]);
+
+  fs.writeFileSync(file, 'label,value\nA,1\nB,2\n');
+  assert.deepEqual(loadData('edited.csv', dataDir).map(row => row.label), ['A', 'B']);
+
+  // Same size, later modification time
+  fs.writeFileSync(file, 'label,value\nA,1\nC,3\n');
+  const later = new Date(Date.now() + 60000);
+  fs.utimesSync(file, later, later);
+  assert.deepEqual(loadData('edited.csv', dataDir).map(row => row.label), ['A', 'C']);
+});
+
+test('cached rows are copies and keep their parse options apart', () => {
+  clearDataCache();
+  fs.writeFileSync(path.join(dataDir, 'options.csv'), 'label;value\nA;1,5\n');
+  const first = loadData('options.csv', dataDir, { delimiter: ';', locale: 'de-DE' });
+  assert.deepEqual(first, [{ label: 'A', value: 1.5 }]);
+  first[0].value = 99;
+  assert.deepEqual(loadData('options.csv', dataDir, { delimiter: ';', locale: 'de-DE' }), [{ label: 'A', value: 1.5 }]);
+  assert.deepEqual(loadData('options.csv', dataDir, { delimiter: ';', locale: 'en-US' }), [{ label: 'A', value: '1,5' }]);
+  assert.deepEqual(loadData('options.csv', dataDir, { delimiter: ';', locale: 'de-DE' }), [{ label: 'A', value: 1.5 }]);
+});
+
+test('JSON and YAML files must hold an array of records', () => {
+  clearDataCache();
+  fs.writeFileSync(path.join(dataDir, 'rows.json'), '[["label", "value"], ["A", 1]]');
+  fs.writeFileSync(path.join(dataDir, 'wrapped.json'), '{ "updated": "2024-01-01", "records": [{ "label": "A", "value": 1 }] }');
+  fs.writeFileSync(path.join(dataDir, 'scalar.yaml'), 'just text\n');
+  fs.writeFileSync(path.join(dataDir, 'empty.yml'), '');
+  const warnings = [];
+  const warn = message => warnings.push(message);
+
+  assert.deepEqual(loadData('rows.json', dataDir, { warn }), [{ label: 'A', value: 1 }]);
+  assert.deepEqual(loadData('wrapped.json', dataDir, { warn }), []);
+  assert.deepEqual(loadData('scalar.yaml', dataDir, { warn }), []);
+  assert.deepEqual(loadData('empty.yml', dataDir, { warn }), []);
+  assert.equal(warnings.length, 3);
+  assert.match(warnings[0], /^wrapped\.json must contain an array of records, but its top level is an object \(to chart its "records" list, .*ending in "\.records"\)$/);
+  assert.equal(warnings[1], 'scalar.yaml must contain an array of records, but its top level is a string');
+  assert.equal(warnings[2], 'empty.yml is empty; it must contain an array of records');
+});
+
+test('the parser is picked from the extension, or from the format option', () => {
+  clearDataCache();
+  fs.writeFileSync(path.join(dataDir, 'sales.tsv'), 'region\tsales\nNorth\t1,200\n');
+  fs.writeFileSync(path.join(dataDir, 'sales.json'), '\uFEFF[{ "region": "North", "sales": "1,200" }, "stray", null]');
+  fs.writeFileSync(path.join(dataDir, 'sales.yml'), '- region: North\n  sales: 1200\n');
+  fs.writeFileSync(path.join(dataDir, 'sales.txt'), '- [region, sales]\n- [North, 1200]\n- [South]\n');
+  const expected = [{ region: 'North', sales: 1200 }];
+
+  assert.deepEqual(loadData('sales.tsv', dataDir), expected);
+  assert.deepEqual(loadData('sales.json', dataDir), expected);
+  assert.deepEqual(loadData('sales.yml', dataDir), expected);
+  assert.deepEqual(loadData('sales.txt', dataDir, { format: 'YAML' }), [...expected, { region: 'South', sales: null }]);
+  assert.equal(detectFormat('charts/SALES.YAML'), 'yaml');
+  assert.equal(detectFormat('sales.dat'), 'csv');
+});
+
+test('missing files, unknown formats and parse errors are reported', () => {
+  clearDataCache();
+  fs.writeFileSync(path.join(dataDir, 'broken.json'), '[{ "region": ');
+  const warnings = [];
+  const warn = message => warnings.push(message);
+  assert.deepEqual(loadData('nope.csv', dataDir, { warn }), []);
+  assert.deepEqual(loadData('broken.json', dataDir, { format: 'xml', warn }), []);
+  assert.deepEqual(loadData('broken.json', dataDir, { warn }), []);
+  assert.equal(warnings.length, 3);
+  assert.match(warnings[0], /^Data file not found: .*nope\.csv$/);
+  assert.match(warnings[1], /^Unknown data format "xml"/);
+  assert.match(warnings[2], /^Could not parse .*broken\.json as json: /);
+});
+
+test('joinRows matches rows on the key and fills gaps', () => {
+  const warnings = [];
+  const rows = joinRows([
+    { name: 'sales.csv', rows: [{ month: 'Jan', total: 10 }, { month: 'Feb', total: 12 }] },
+    { name: 'costs.csv', rows: [{ period: 'Feb', total: 7 }, { period: 'Mar', total: '' }], key: 'period', prefix: 'cost ' },
+    { name: 'staff.csv', rows: [{ month: 'Jan', total: 3 }], rename: { total: 'staff' } }
+  ], { warn: message => warnings.push(message) });
+  assert.deepEqual(rows, [
+    { month: 'Jan', total: 10, 'cost total': null, staff: 3 },
+    { month: 'Feb', total: 12, 'cost total': 7, staff: null },
+    { month: 'Mar', total: null, 'cost total': null, staff: null }
+  ]);
+  assert.deepEqual(warnings, []);
+});
+
+test('joinRows reports a missing key and clashing columns', () => {
+  const warnings = [];
+  const rows = joinRows([
+    { name: 'a.csv', rows: [{ id: 1, value: 2 }] },
+    { name: 'b.csv', rows: [{ code: 1, value: 3 }], key: 'id' },
+    { name: 'c.csv', rows: [{ id: 1, value: 4, extra: 5 }] },
+    { name: 'd.csv', rows: [] }
+  ], { warn: message => warnings.push(message) });
+  assert.deepEqual(rows, [{ id: 1, value: 2, extra: 5 }]);
+  assert.deepEqual(warnings, [
+    'Join key "id" not found in b.csv (columns: code, value); skipping',
+    'Column "value" from c.csv already exists in the join; use prefix or rename to keep it'
+  ]);
+});
+
+test('loadJoinedData loads each file with its own options and keeps their units', () => {
+  clearDataCache();
+  fs.writeFileSync(path.join(dataDir, 'revenue.csv'), 'month,revenue\nJan,$1200\nFeb,$900\n');
+  fs.writeFileSync(path.join(dataDir, 'margin.txt'), 'month;margin\nJan;12%\nFeb;9%\n');
+  const rows = loadJoinedData([
+    'revenue.csv',
+    { path: 'margin.txt', fileFormat: 'csv', delimiter: ';', rename: { margin: 'gross margin' } }
+  ], dataDir);
+  assert.deepEqual(rows, [
+    { month: 'Jan', revenue: 1200, 'gross margin': 12 },
+    { month: 'Feb', revenue: 900, 'gross margin': 9 }
+  ]);
+  assert.deepEqual(Object.keys(columnUnits(rows)), ['revenue', 'gross margin']);
+});
@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rules, inlineStyles } from '../../src/inline-styles.js';
+import { readStylesheet } from '../../src/stylesheet.js';
+
+// The properties inlineStyles() sets for every chart, which the stylesheet leaves to the renderers
+const inlineDefaults = { '--node-width': '20px', '--height-scale': '1' };
+
+// Inline declarations that knowingly differ from the stylesheet, by "class property", with their inline value
+const deviations = {
+  // Spacing the stylesheet gets from a parent's gap or from layout rules the inline output drops
+  'chart margin': '0 0 1.5rem',
+  'chart-data margin-top': '0.75rem',
+  'chart-data-table margin-top': '0.5rem',
+  'chart-x-axis padding': '0.25rem 0.5rem 0.25rem 0',
+  // Legend markers are spans rather than ::before, so items flow inline
+  'chart-legend-item display': 'inline-block',
+  'chart-legend-item margin': '0 1rem 0.375rem 0',
+  // Fixed sizes where the stylesheet uses min-height, flex layout or container queries
+  'chart-y-axis height': '12rem',
+  'chart-columns height': '12rem',
+  'dot-chart height': '12rem',
+  'dot-area height': '12rem',
+  'donut-container width': '20rem',
+  'chart-scroll flex': '1',
+  'chart-scroll min-width': '0',
+  'scatter-container flex': '1',
+  'scatter-container min-width': '0',
+  'chart-bars gap': '0.5rem 0.75rem',
+  'chart-columns gap': '0.5rem',
+  'column-labels gap': '0.5rem',
+  // Line segments hold an SVG line that covers the plot, instead of a rotated box
+  'chart-line-segment top': '0',
+  'chart-line-segment right': '0',
+  'chart-line-segment bottom': '0',
+  'chart-line-segment left': '0'
+};
+
+/**
+ * Collapse whitespace the way the inline rules are written
+ * @param {string} value - CSS value
+ * @returns {string} - Normalized value
+ */
+function normalize(value) {
+  return value.replace(/\s+/g, ' ').replace(/\(\s/g, '(').replace(/\s\)/g, ')').trim();
+}
+
+/**
+ * Read every declaration the stylesheet gives a class, from rules whose selector ends in that class
+ * Custom properties are resolved against the stylesheet's own defaults, and `inset` and `margin-block-start` are expanded.
+ * @returns {Object} - { byClass: class to property to the values it can take, resolve: resolves a value the same way }
+ */
+function stylesheetDeclarations() {
+  const css = readStylesheet().replace(/\/\*[\s\S]*?\*\//g, '');
+  const blocks = [...css.matchAll(/([^{}]+)\{([^{}]*)\}/g)].map(([, selectors, body]) => ({
+    selectors: selectors.split(',').map(selector => selector.trim()),
+    declarations: body.split(';').map(declaration => declaration.match(/^\s*([\w-]+)\s*:\s*([\s\S]+?)\s*$/)).filter(Boolean)
+  }));
+
+  const defaults = { ...inlineDefaults };
+  blocks.forEach(({ declarations }) => declarations.forEach(([, property, value]) => {
+    if (property.startsWith('--')) defaults[property] ??= value;
+  }));
+  const resolve = value => {
+    let previous;
+    do {
+      previous = value;
+      value = value.replace(/var\((--[\w-]+)(?:,\s*([^()]+))?\)/g, (match, name, fallback) => defaults[name] ?? fallback ?? match);
+    } while (value !== previous);
+    return normalize(value);
+  };
+
+  const byClass = new Map();
+  blocks.forEach(({ selectors, declarations }) => selectors.forEach(selector => {
+    const cls = selector.split(/[\s>+~]+/).pop().match(/^\.([\w-]+)$/)?.[1];
+    if (!cls) return;
+    if (!byClass.has(cls)) byClass.set(cls, new Map());
+    const properties = byClass.get(cls);
+    declarations.forEach(([, property, value]) => {
+      const names = { 'inset': ['top', 'right', 'bottom', 'left'], 'margin-block-start': ['margin-top'] }[property] ?? [property];
+      names.forEach(name => {
+        if (!properties.has(name)) properties.set(name, new Set());
+        properties.get(name).add(resolve(value));
+      });
+    });
+  }));
+  return { byClass, resolve };
+}
+
+test('inline rules match the stylesheet', () => {
+  const { byClass: stylesheet, resolve } = stylesheetDeclarations();
+  const mismatches = [];
+  Object.entries(rules).forEach(([cls, text]) => {
+    text.split(';').forEach(declaration => {
+      const [, property, value] = declaration.match(/^\s*([\w-]+)\s*:\s*(.+?)\s*$/);
+      const key = `${cls} ${property}`;
+      if (key in deviations) return;
+      const values = stylesheet.get(cls)?.get(property);
+      if (!values?.has(resolve(value))) {
+        mismatches.push(`${key}: "${value}" inline, ${values ? [...values].map(v => `"${v}"`).join(' or ') : 'nothing'} in the stylesheet`);
+      }
+    });
+  });
+  assert.deepEqual(mismatches, []);
+});
+
+test('inline rules keep their known deviations', () => {
+  Object.entries(deviations).forEach(([key, value]) => {
+    const [cls, property] = key.split(' ');
+    const declaration = (rules[cls] ?? '').split(';').map(text => text.trim()).find(text => text.startsWith(`${property}:`));
+    assert.equal(declaration, `${property}: ${value}`, key);
+  });
+});
+
+test('inline styles resolve chained custom properties', () => {
+  const html = inlineStyles('<figure class="chart chart-sankey" style="--grid-columns: var(--sankey-node-width) 1fr"><div class="chart-sankey-container"></div></figure>');
+  assert.match(html, /grid-template-columns: 20px 1fr/);
+});
+
+test('inline styles stop resolving a custom property that refers to itself', () => {
+  const html = inlineStyles('<figure class="chart chart-sankey" style="--grid-columns: var(--grid-columns) 1fr"><div class="chart-sankey-container"></div></figure>');
+  assert.match(html, /class="chart-sankey-container"/);
+  assert.doesNotMatch(html, /grid-template-columns/);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderChart } from '../../src/render.js';
+
+test('values keep the unit their cells were written with', () => {
+  const html = renderChart({ type: 'stacked-bar', data: [{ label: 'A', share: '45%' }, { label: 'B', share: '12.5%' }] });
+  assert.match(html, /class="bar-value">45\.0%</);
+  assert.match(html, /class="bar-value">12\.5%</);
+});
+
+test('a chart format wins over the cells\' unit', () => {
+  const html = renderChart({ type: 'stacked-bar', data: [{ label: 'A', share: '45%' }], format: { decimals: 2 } });
+  assert.match(html, /class="bar-value">45\.00</);
+});
+
+test('element ids are counted per page and start over for the next page', () => {
+  const chart = { type: 'stacked-bar', data: [{ label: 'A', value: 1 }] };
+  const ids = html => [...html.matchAll(/ id="([^"]+)"/g)].map(match => match[1]);
+  const page = new Map();
+  assert.deepEqual(ids(renderChart(chart, { id: 'sales', ids: page })), ['chart-text-sales-1']);
+  assert.deepEqual(ids(renderChart(chart, { id: 'sales', ids: page })), ['chart-text-sales-2']);
+  assert.deepEqual(ids(renderChart(chart, { id: 'sales', ids: new Map() })), ['chart-text-sales-1']);
+  assert.deepEqual(ids(renderChart(chart, { id: 'sales' })), ['chart-text-sales-1']);
+});
+
+test('plugin-wide tooltips and interactive leave donuts unchanged', () => {
+  const chart = { type: 'donut', data: [{ label: 'A', value: 1 }, { label: 'B', value: 2 }] };
+  assert.equal(renderChart(chart, { tooltips: true, interactive: true }), renderChart(chart));
+});
+
+test('more than eight series on an eight-color palette are reported', () => {
+  const row = { label: 'Q1' };
+  for (let i = 1; i <= 9; i++) row[`s${i}`] = i;
+  const warnings = [];
+  const warn = message => warnings.push(message);
+  renderChart({ type: 'stacked-bar', data: [row], theme: 'okabe-ito' }, { warn });
+  renderChart({ type: 'stacked-bar', data: [row], theme: ['dark', 'viridis'], output: 'svg' }, { warn });
+  assert.deepEqual(warnings, [
+    'the "okabe-ito" palette has 8 colors, so series 9 and up repeat them; give those series `colors:` of their own or show fewer series',
+    'the "viridis" palette has 8 colors, so series 9 and up repeat them; give those series `colors:` of their own or show fewer series'
+  ]);
+
+  warnings.length = 0;
+  renderChart({ type: 'stacked-bar', data: [row], theme: 'okabe-ito', colors: { s9: '#333' } }, { warn });
+  renderChart({ type: 'stacked-bar', data: [row], theme: 'okabe-ito', colors: { s9: '#333' }, output: 'svg' }, { warn });
+  renderChart({ type: 'stacked-bar', data: [row], theme: 'dark' }, { warn });
+  renderChart({ type: 'stacked-bar', data: [row], theme: 'viridis', series: ['s1', 's2', 's3', 's4', 's5', 's6', 's7', 's8'] }, { warn });
+  assert.deepEqual(warnings, []);
+});
+
+test('Sankey nodes count against an eight-color palette too', () => {
+  const data = ['B', 'C', 'D', 'E', 'F', 'G', 'H', 'I'].map(target => ({ source: 'A', target, value: 1 }));
+  const warnings = [];
+  renderChart({ type: 'sankey', data, theme: 'okabe-ito' }, { warn: message => warnings.push(message) });
+  renderChart({ type: 'sankey', data, theme: 'okabe-ito', output: 'svg' }, { warn: message => warnings.push(message) });
+  assert.equal(warnings.length, 2);
+  assert.match(warnings[0], /"okabe-ito" palette has 8 colors/);
+});
+
+test('named columns pick the label and series regardless of position', () => {
+  const data = [{ id: 7, region: 'North', q1: 10, q2: 12 }, { id: 8, region: 'South', q1: 5, q2: 6 }];
+  const html = renderChart({ type: 'stacked-bar', data, label: 'region', series: ['q2', 'q1'] });
+  const legend = [...html.matchAll(/chart-legend-item [^"]*chart-series-(\w+)/g)].map(match => match[1]);
+  assert.deepEqual(legend, ['q2', 'q1']);
+  assert.match(html, /North/);
+  assert.doesNotMatch(html, /chart-series-id/);
+});
+
+/**
+ * Read the legend labels of a rendered donut
+ * @param {string} html - Chart HTML
+ * @returns {string[]} - Legend labels, in order
+ */
+function donutLabels(html) {
+  return [...html.matchAll(/class="legend-label">([^<]*)</g)].map(match => match[1]);
+}
+
+test('CSV written in the page wins over the chart\'s file and data', () => {
+  const warnings = [];
+  const body = '\n  label;value\n  A;1\n  # a comment\n  B;2\n';
+  const html = renderChart({ type: 'donut', file: 'missing.csv', data: [{ label: 'X', value: 9 }] }, { body, warn: message => warnings.push(message) });
+  assert.deepEqual(donutLabels(html), ['A', 'B']);
+  assert.deepEqual(warnings, []);
+});
+
+test('CSV in the page follows the chart\'s delimiter, comment and columns settings', () => {
+  const html = renderChart({ type: 'donut', delimiter: '|', comment: '//', columns: { label: 'string' } }, { body: 'label|value\n// skipped|5\n01|1\n02|3' });
+  assert.deepEqual(donutLabels(html), ['01', '02']);
+});
+
+test('an empty body renders nothing rather than falling back to the file', () => {
+  const warnings = [];
+  const html = renderChart({ type: 'donut', file: 'missing.csv' }, { id: 'share', body: '', warn: message => warnings.push(message) });
+  assert.equal(html, '<!-- Chart "share" has no data -->');
+  assert.deepEqual(warnings, ['has no data']);
+});
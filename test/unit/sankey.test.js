@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { layoutSankey } from '../../src/renderers/sankey.js';
+import { renderChart } from '../../src/render.js';
+
+const data = [
+  { from: 'A', to: 'B', amount: 30 },
+  { from: 'B', to: 'C', amount: 20 },
+  { from: 'A', to: 'C', amount: 10 },
+  { from: 'A', to: 'B', amount: 5 },
+  { from: 'B', to: 'D', amount: 15 }
+];
+
+/**
+ * Round layout numbers so float noise doesn't fail comparisons
+ * @param {number} value - Percentage
+ * @returns {number} - Value rounded to six decimals
+ */
+function round(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+test('nodes sit at the level of their longest path from a source', () => {
+  const layout = layoutSankey(data);
+  assert.deepEqual(layout.levels, [['A'], ['B'], ['C', 'D']]);
+  assert.deepEqual(Object.fromEntries(layout.nodeThroughput), { A: 45, B: 35, C: 30, D: 15 });
+});
+
+test('duplicate edges are summed', () => {
+  assert.deepEqual(layoutSankey(data).edges, [
+    { source: 'A', target: 'B', value: 35 },
+    { source: 'A', target: 'C', value: 10 },
+    { source: 'B', target: 'C', value: 20 },
+    { source: 'B', target: 'D', value: 15 }
+  ]);
+});
+
+test('nodes stay inside the diagram and flows stack without gaps at each end', () => {
+  const layout = layoutSankey(data);
+  layout.nodePosition.forEach(({ top, height }) => {
+    assert.ok(round(top) >= 0 && round(top + height) <= 100);
+  });
+  layout.nodes.forEach(node => {
+    const { top, height } = layout.nodePosition.get(node);
+    [['source', 'fromTop', 'fromHeight'], ['target', 'toTop', 'toHeight']].forEach(([end, topKey, heightKey]) => {
+      const flows = layout.flows.filter(flow => flow[end] === node).sort((a, b) => a[topKey] - b[topKey]);
+      if (flows.length === 0) return;
+      let offset = top;
+      flows.forEach(flow => {
+        assert.equal(round(flow[topKey]), round(offset), `${node} ${end}`);
+        offset += flow[heightKey];
+      });
+      assert.equal(round(offset), round(top + height), `${node} ${end}`);
+    });
+  });
+});
+
+test('columns can be named, and rows without a flow are skipped', () => {
+  const rows = [{ id: 1, to: 'B', from: 'A', amount: '4' }, { id: 2, to: 'C', from: 'B', amount: 0 }, { id: 3, to: '', from: 'B', amount: 2 }];
+  const layout = layoutSankey(rows, { source: 'from', target: 'to', value: 'amount' });
+  assert.deepEqual(layout.edges, [{ source: 'A', target: 'B', value: 4 }]);
+  assert.equal(layoutSankey([{ a: 'A', b: 'B', c: 0 }]), null);
+});
+
+test('a self-loop throws with the offending row', () => {
+  const row = { from: 'B', to: 'B', amount: 3 };
+  assert.throws(() => layoutSankey([data[0], row]), error => {
+    assert.match(error.message, /Self-loop detected at row 3 - "B" cannot flow to itself/);
+    assert.equal(error.row, row);
+    return true;
+  });
+});
+
+test('the HTML and SVG renderers draw every node and flow', () => {
+  const html = renderChart({ type: 'sankey', data }, { id: 'budget' });
+  assert.equal(html.match(/class="chart-sankey-node /g)?.length, 4);
+  assert.equal(html.match(/<svg class="chart-sankey-flow /g)?.length, 4);
+  assert.match(html, /<linearGradient id="sankey-grad-budget-1-3">/);
+
+  const svg = renderChart({ type: 'sankey', data, output: 'svg' }, { id: 'budget' });
+  assert.match(svg, /^<svg [^>]*>/);
+  assert.equal(svg.match(/<g class="chart-sankey-node /g)?.length, 4);
+  assert.equal(svg.match(/<path /g)?.length, 4);
+});
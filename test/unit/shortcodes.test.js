@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseChartArgs, parseChartFence } from '../../src/shortcodes.js';
+
+test('a chart id on its own references a chart', () => {
+  assert.deepEqual(parseChartArgs(['sales']), { chartId: 'sales', inline: undefined });
+  assert.deepEqual(parseChartArgs([]), { chartId: undefined, inline: undefined });
+});
+
+test('an options object defines a chart inline', () => {
+  const options = { type: 'donut', data: [{ label: 'A', value: 1 }] };
+  assert.deepEqual(parseChartArgs([options]), { chartId: undefined, inline: options });
+});
+
+test('keyword arguments override a referenced chart, without the Nunjucks flag', () => {
+  assert.deepEqual(parseChartArgs(['sales', { title: 'Sales', theme: 'dark', __keywords: true }]), {
+    chartId: 'sales',
+    inline: { title: 'Sales', theme: 'dark' }
+  });
+});
+
+test('later option objects win and arrays are not options', () => {
+  assert.deepEqual(parseChartArgs(['sales', { title: 'A', animate: true }, ['x'], { title: 'B' }]), {
+    chartId: 'sales',
+    inline: { title: 'B', animate: true }
+  });
+});
+
+test('a fence with only an id renders that chart', () => {
+  assert.deepEqual(parseChartFence('chart', 'sales\n'), { args: ['sales'], body: undefined });
+});
+
+test('fence options merge over the chart named after the language or in id:', () => {
+  assert.deepEqual(parseChartFence('chart sales', 'title: Sales\ntheme: dark\n'), {
+    args: ['sales', { title: 'Sales', theme: 'dark' }],
+    body: undefined
+  });
+  assert.deepEqual(parseChartFence('chart sales', 'id: 2024\ntitle: Sales\n').args, ['2024', { title: 'Sales' }]);
+  assert.deepEqual(parseChartFence('chart', 'type: donut\n').args, [{ type: 'donut' }]);
+});
+
+test('CSV after a --- line becomes the chart body', () => {
+  const fence = parseChartFence('chart', 'type: donut\r\ntitle: Share\r\n---\r\nlabel,value\r\nA,1\r\n');
+  assert.deepEqual(fence.args, [{ type: 'donut', title: 'Share' }]);
+  assert.equal(fence.body, 'label,value\nA,1\n');
+  assert.deepEqual(parseChartFence('chart share', '---\nlabel,value\nB,2').args, ['share', {}]);
+});
+
+test('invalid YAML in a fence throws for the caller to report', () => {
+  assert.throws(() => parseChartFence('chart', 'title: [unclosed\n'), { name: 'YAMLException' });
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { chartTypesIn, stylesheetParts, pageStylesheetParts, pageIsInteractive, readStylesheet, cssFile } from '../../src/stylesheet.js';
+import { renderChart } from '../../src/render.js';
+
+test('chart types are read from the figure classes', () => {
+  const html = '<figure class="chart chart-line chart-animate"></figure><p class="chart-title"></p><figure class="chart chart-sankey chart-budget"></figure>';
+  assert.deepEqual([...chartTypesIn(html)], ['line', 'sankey']);
+});
+
+test('a page gets the core plus the parts its charts use, in bundle order', () => {
+  assert.deepEqual(stylesheetParts(['sankey', 'line']), ['core', 'dot', 'line', 'sankey']);
+  assert.deepEqual(stylesheetParts(['gauge']), ['core']);
+  assert.deepEqual(stylesheetParts([], { themes: true }), ['core', 'themes']);
+});
+
+test('themes are added only for a page with a themed chart', () => {
+  const plain = renderChart({ type: 'donut', data: [{ label: 'A', value: 1 }] });
+  const themed = renderChart({ type: 'donut', data: [{ label: 'A', value: 1 }], theme: 'dark' });
+  assert.deepEqual(pageStylesheetParts(plain), ['core', 'donut']);
+  assert.deepEqual(pageStylesheetParts(plain + themed), ['core', 'donut', 'themes']);
+  assert.equal(pageIsInteractive(plain), false);
+  assert.equal(pageIsInteractive(renderChart({ type: 'stacked-bar', data: [{ label: 'A', value: 1 }], interactive: true })), true);
+});
+
+test('the bundle is up to date with its parts', () => {
+  assert.ok(fs.readFileSync(cssFile, 'utf-8').endsWith(readStylesheet()), 'css/uncharted.css is stale; run npm run build:css');
+});
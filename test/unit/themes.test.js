@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveTheme, resolveColors, themePalette, themeText, paletteTheme } from '../../src/themes.js';
+
+test('themes are normalized to a list of known names', () => {
+  const warnings = [];
+  const warn = message => warnings.push(message);
+  assert.deepEqual(resolveTheme('dark', warn), ['dark']);
+  assert.deepEqual(resolveTheme(['dark', 'sepia', 'okabe-ito'], warn), ['dark', 'okabe-ito']);
+  assert.deepEqual(resolveTheme(false, warn), []);
+  assert.deepEqual(resolveTheme(undefined, warn), []);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /^unknown theme "sepia"; expected one of light, dark/);
+});
+
+test('a later palette wins, and the text color comes from the color scheme', () => {
+  assert.equal(paletteTheme(['dark', 'okabe-ito']), 'okabe-ito');
+  assert.equal(themePalette(['okabe-ito', 'dark']).length, 8);
+  assert.equal(themePalette(['dark'])[0], '#64b5f6');
+  assert.equal(themePalette([])[0], '#2196f3');
+  assert.equal(themeText(['dark', 'viridis']), '#ececec');
+  assert.equal(themeText(['auto']), undefined);
+});
+
+test('colors are palette positions or CSS colors that cannot break out of a style', () => {
+  const warnings = [];
+  const colors = resolveColors({
+    a: 3, b: ' rebeccapurple ', c: 'var(--brand)', d: 13, e: 0, f: 2.5, g: 'red; background: url(x)', h: '', i: null
+  }, message => warnings.push(message));
+  assert.deepEqual(colors, { a: 3, b: 'rebeccapurple', c: 'var(--brand)' });
+  assert.equal(warnings.length, 6);
+  assert.equal(warnings[0], 'invalid color 13 for "d"; expected a palette position (1-12) or a CSS color');
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyTransforms } from '../../src/transforms.js';
+
+const rows = [
+  { region: 'North', sales: 10 },
+  { region: 'South', sales: null },
+  { region: 'East', sales: 30 },
+  { region: 'West', sales: 20 }
+];
+
+test('sort keeps gaps last in ascending order', () => {
+  const sorted = applyTransforms(rows, [{ sort: { column: 'sales' } }]);
+  assert.deepEqual(sorted.map(row => row.region), ['North', 'West', 'East', 'South']);
+});
+
+test('sort keeps gaps last in descending order', () => {
+  const sorted = applyTransforms(rows, [{ sort: { column: 'sales', order: 'desc' } }]);
+  assert.deepEqual(sorted.map(row => row.region), ['East', 'West', 'North', 'South']);
+});
+
+/**
+ * Apply transform steps, collecting warnings
+ * @param {Object[]} steps - Transform steps
+ * @returns {{ result: Object[], warnings: string[] }} - Transformed rows and warnings
+ */
+function transform(steps) {
+  const warnings = [];
+  const result = applyTransforms(rows, steps, { source: 'sales', warn: message => warnings.push(message) });
+  return { result, warnings };
+}
+
+test('sort rejects an order other than asc or desc', () => {
+  const { result, warnings } = transform([{ sort: { column: 'sales', order: 'descending' } }]);
+  assert.equal(result, rows);
+  assert.deepEqual(warnings, ['Skipping transform step 1 (sort) in sales: unknown sort order "descending" for column "sales" (expected asc or desc)']);
+});
+
+test('top keeps the largest rows and rolls the rest into "Other"', () => {
+  const { result } = transform([{ top: { count: '2', other: true } }]);
+  assert.deepEqual(result, [{ region: 'East', sales: 30 }, { region: 'West', sales: 20 }, { region: 'Other', sales: 10 }]);
+});
+
+test('top and limit are skipped without a row count', () => {
+  const { result, warnings } = transform([{ top: { by: 'sales' } }, { limit: 'five' }, { limit: 2 }]);
+  assert.deepEqual(result.map(row => row.region), ['North', 'South']);
+  assert.deepEqual(warnings, [
+    'Skipping transform step 1 (top) in sales: count must be a whole number of rows, got nothing',
+    'Skipping transform step 2 (limit) in sales: count must be a whole number of rows, got "five"'
+  ]);
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveColumn, getLabelKey, getValueKey, getSeriesNames } from '../../src/utils.js';
+
+const data = [{ region: 'North', q1: 10, q2: 12, target: 15 }];
+
+test('columns are read by name, or by position without one', () => {
+  assert.equal(getLabelKey(data), 'region');
+  assert.equal(getLabelKey(data, 'target'), 'target');
+  assert.equal(getValueKey(data), 'q1');
+  assert.equal(getValueKey(data, 'q2'), 'q2');
+  assert.equal(resolveColumn(data, 'missing', 3), 'target');
+  assert.equal(resolveColumn([], 'region', 0), undefined);
+});
+
+test('numeric column names given as numbers still match', () => {
+  assert.equal(resolveColumn([{ year: 'A', 2024: 1 }], 2024, 0), '2024');
+});
+
+test('named series keep their order and drop missing columns', () => {
+  assert.deepEqual(getSeriesNames(data, ['q2', 'nope', 'q1']), ['q2', 'q1']);
+  assert.deepEqual(getSeriesNames(data, 'target'), ['target']);
+  assert.deepEqual(getSeriesNames(data, null, 'q1'), ['region', 'q2', 'target']);
+  assert.deepEqual(getSeriesNames(data), ['q1', 'q2', 'target']);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateChartConfig, validateChartData, suggest } from '../../src/validate.js';
+
+test('unknown keys are reported with the closest known key', () => {
+  assert.deepEqual(validateChartConfig({ type: 'donut', titl: 'Share', showPercentage: true, wibble: 1 }), [
+    'unknown key "titl" for donut charts (did you mean "title"?)',
+    'unknown key "showPercentage" for donut charts (did you mean "showPercentages"?)',
+    'unknown key "wibble" for donut charts'
+  ]);
+});
+
+test('each chart type only accepts its own keys', () => {
+  assert.deepEqual(validateChartConfig({ type: 'scatter', maxX: 10, titleY: 'Profit' }), []);
+  assert.deepEqual(validateChartConfig({ type: 'donut', maxX: 10 }), ['unknown key "maxX" for donut charts']);
+  assert.deepEqual(validateChartConfig({ type: 'sankey', legend: true }), []);
+  assert.deepEqual(validateChartConfig({ type: 'stacked-bar', legend: true }), ['"legend" should be array, got boolean']);
+});
+
+test('values of the wrong type are reported, and null is allowed', () => {
+  assert.deepEqual(validateChartConfig({ type: 'line', title: 42, file: { path: 'a.csv' }, max: '100', subtitle: null }), [
+    '"title" should be string, got number',
+    '"file" should be string or array, got object',
+    '"max" should be number, got string'
+  ]);
+});
+
+test('the chart type itself is checked first', () => {
+  assert.deepEqual(validateChartConfig(['donut']), ['config should be an object, got array']);
+  assert.deepEqual(validateChartConfig({ title: 'Share' }), ['no type specified']);
+  assert.deepEqual(validateChartConfig({ type: 'donnut' }), [
+    'unknown chart type "donnut" (did you mean "donut"?); expected one of stacked-bar, stacked-column, donut, dot, line, scatter, sankey'
+  ]);
+});
+
+test('custom schemas and types registered without one', () => {
+  const schemas = { gauge: { keys: { needle: 'number' } } };
+  assert.deepEqual(validateChartConfig({ type: 'gauge', needle: 'up' }, { schemas }), ['"needle" should be number, got string']);
+  assert.deepEqual(validateChartConfig({ type: 'gauge', title: 'Load' }, { schemas }), []);
+  assert.deepEqual(validateChartConfig({ type: 'meter', anything: true }, { schemas, types: ['gauge', 'meter'] }), []);
+});
+
+test('data is checked for the columns the chart needs', () => {
+  const data = [{ region: 'North', sales: 10, cost: 4 }];
+  assert.deepEqual(validateChartData(data, { type: 'scatter' }), []);
+  assert.deepEqual(validateChartData([{ region: 'North', sales: 10 }], { type: 'sankey' }), [
+    'sankey charts need at least 3 columns, got 2 (region, sales)'
+  ]);
+  assert.deepEqual(validateChartData(data, { type: 'stacked-bar', label: 'regoin', series: ['sales', 'profit'] }), [
+    'column "regoin" (label) not found (did you mean "region"?); columns are region, sales, cost',
+    'column "profit" (series) not found; columns are region, sales, cost'
+  ]);
+  assert.deepEqual(validateChartData([], { type: 'donut', label: 'missing' }), []);
+});
+
+test('suggestions ignore case and stay within a third of the name', () => {
+  assert.equal(suggest('TITLE', ['title', 'subtitle']), 'title');
+  assert.equal(suggest('colour', ['colors', 'columns']), 'colors');
+  assert.equal(suggest('download', ['downloadData']), undefined);
+  assert.equal(suggest('ab', ['xy']), undefined);
+});
+
+test('donuts report the tooltips and interactive keys they do not support', () => {
+  assert.deepEqual(validateChartConfig({ type: 'donut', tooltips: true, interactive: false }), [
+    '"tooltips" is not supported for donut charts',
+    '"interactive" is not supported for donut charts'
+  ]);
+  assert.deepEqual(validateChartConfig({ type: 'stacked-bar', tooltips: true, interactive: true }), []);
+});